@@ -2,25 +2,32 @@
 set -euo pipefail
 
 # Health check script for atriumn-issue-triage
-# Returns exit code 0 if healthy, 1 if unhealthy
+# Returns exit code 0 if ready, 1 if not responding or degraded (see GET /ready)
 
 PORT="${PORT:-3847}"
-URL="http://localhost:${PORT}/health"
+URL="http://localhost:${PORT}/ready"
 
-response=$(curl -sf --max-time 5 "$URL" 2>/dev/null) || {
+# /ready answers 503 with the failing checks when degraded, so don't use -f
+response=$(curl -s --max-time 15 "$URL" 2>/dev/null) || {
   echo "UNHEALTHY: Server not responding on port ${PORT}"
   exit 1
 }
 
-status=$(echo "$response" | node -e "
+summary=$(echo "$response" | node -e "
   const data = JSON.parse(require('fs').readFileSync('/dev/stdin','utf8'));
-  console.log(data.status);
-")
+  const failing = Object.entries(data.checks || {}).filter(([, c]) => c.status !== 'ok');
+  console.log([data.status, ...failing.map(([name, c]) => name + ': ' + c.message)].join('\n'));
+") || {
+  echo "UNHEALTHY: Unexpected response: ${response}"
+  exit 1
+}
+
+status=$(echo "$summary" | head -n 1)
 
-if [ "$status" = "ok" ]; then
-  echo "HEALTHY: ${response}"
+if [ "$status" = "ready" ]; then
+  echo "HEALTHY: ready"
   exit 0
 else
-  echo "UNHEALTHY: ${response}"
+  echo "UNHEALTHY: ${summary}"
   exit 1
 fi
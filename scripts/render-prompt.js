@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Render Ralph's prompt for an issue without spawning anything.
+//
+//   node scripts/render-prompt.js <owner/name> <number> [--type bug] [--instructions "..."] [--issue issue.json] [--no-context]
+//
+// Fetches the issue from GitHub (GITHUB_TOKEN) unless --issue points at a
+// saved copy of it, and its comments and referenced issues unless
+// --no-context. The template used is printed to stderr, the prompt to
+// stdout. Exits non-zero if the templates don't validate.
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { loadTemplates, renderPrompt } from '../src/prompts.js';
+import { getIssue } from '../src/github.js';
+import { gatherIssueContext } from '../src/context.js';
+
+const USAGE = 'Usage: render-prompt.js <owner/name> <number> [--type <type>] [--instructions <text>] [--issue <file.json>] [--no-context]';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      type: { type: 'string' },
+      instructions: { type: 'string' },
+      issue: { type: 'string' },
+      'no-context': { type: 'boolean' },
+    },
+  });
+  const [repo, number] = positionals;
+  if (!repo || !Number.isInteger(Number(number))) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  loadTemplates();
+  const issue = values.issue
+    ? JSON.parse(await readFile(values.issue, 'utf-8'))
+    : await getIssue(repo, Number(number));
+
+  const extras = {
+    ...(values.type && { analysis: { type: values.type } }),
+    ...(values.instructions && { instructions: values.instructions }),
+  };
+  if (!values['no-context']) {
+    extras.context = await gatherIssueContext(repo, Number(number), issue);
+    for (const error of extras.context.errors) console.error(`Context lookup failed: ${error}`);
+    if (extras.context.omitted) console.error(`Omitted ${extras.context.omitted} comment(s)/reference(s) over the token budget`);
+  }
+  const { template, prompt } = renderPrompt(repo, Number(number), issue, extras);
+  console.error(`Template: ${template}`);
+  console.log(prompt);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Replay a GitHub webhook payload and show what triage does with it.
+//
+//   node scripts/replay.js <payload.json|fixture> [--event <name>] [--dry-run] [--analysis analysis.json] [--json]
+//   node scripts/replay.js <payload.json|fixture> --url http://localhost:3847/webhook [--event <name>]
+//
+// The payload is a saved delivery body or a fixture from fixtures/webhooks
+// (e.g. `issues-opened`), signed with GITHUB_WEBHOOK_SECRET (or --secret).
+// The event is guessed from the payload unless --event is given.
+//
+// With --url it is posted to a running server, which answers before triage
+// runs; only the response is printed. Otherwise it goes through buildServer()
+// in this process with an in-memory store, and the triage decision, rendered
+// notifications, Ralph's prompt and any comments are printed. --analysis skips
+// the model. --dry-run stubs the notifier, spawner, clarifier and GitHub
+// comments, and never calls the model either: without --analysis the issue
+// gets a plain notification, as when analysis is unavailable. Server logs go
+// to stderr.
+import { readFile } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { loadRepoConfig } from '../src/repos.js';
+import { loadTemplates } from '../src/prompts.js';
+import { loadPayload, inferEvent, postWebhook, replayInProcess, formatReport } from '../src/replay.js';
+
+const USAGE = 'Usage: replay.js <payload.json|fixture> [--event <name>] [--url <webhook url>] [--secret <secret>] '
+  + '[--dry-run] [--analysis <file.json>] [--json]\n'
+  + '  --dry-run   Send, spawn and comment nothing; without --analysis, skip the model and notify plainly';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      event: { type: 'string' },
+      url: { type: 'string' },
+      secret: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      analysis: { type: 'string' },
+      json: { type: 'boolean' },
+    },
+  });
+  const [source] = positionals;
+  if (!source) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const { body, payload } = await loadPayload(source);
+  const event = values.event || inferEvent(payload);
+  if (!event) {
+    console.error(`Can't tell the event from the payload; pass --event\n${USAGE}`);
+    process.exit(2);
+  }
+  const print = report => console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(event, report));
+
+  if (values.url) {
+    const secret = values.secret || process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('Set GITHUB_WEBHOOK_SECRET or pass --secret to sign for the server');
+      process.exit(2);
+    }
+    print(await postWebhook(values.url, { body, event, secret }));
+    return;
+  }
+
+  // The payload only has to pass this process's own signature check
+  process.env.GITHUB_WEBHOOK_SECRET = values.secret || process.env.GITHUB_WEBHOOK_SECRET || randomBytes(16).toString('hex');
+  loadRepoConfig();
+  loadTemplates();
+  const analysis = values.analysis && JSON.parse(await readFile(values.analysis, 'utf-8'));
+
+  // Keep stdout for the report
+  const log = console.log;
+  console.log = console.error;
+  const report = await replayInProcess({ body, event }, { dryRun: values['dry-run'], analysis });
+  console.log = log;
+  print(report);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,324 @@
+import { env, thresholds as defaultThresholds } from './config.js';
+import { detectIssueInjection, describeFindings, sanitizeText } from './sanitize.js';
+
+export const ISSUE_TYPES = ['bug', 'feature', 'enhancement', 'question', 'docs', 'chore'];
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/** @typedef {Object} Analysis
+ * @property {string} type - One of ISSUE_TYPES
+ * @property {string} severity - One of SEVERITIES
+ * @property {boolean} autoFixable
+ * @property {number} confidence - 0..1
+ * @property {string} reasoning
+ * @property {string[]} acceptanceCriteria
+ * @property {string[]} needsClarification
+ * @property {string} ralphPrompt
+ * @property {boolean} [degraded] - True when the model could not produce a valid analysis
+ */
+
+/** @typedef {'clarify'|'auto-spawn'|'offer-fix'|'notify'} TriageAction */
+
+/** @typedef {Object} Decision
+ * @property {TriageAction} action
+ * @property {string} reason - Human-readable explanation, logged and shown in notifications
+ * @property {import('./sanitize.js').InjectionFinding[]} [injection] - Set when auto-spawn was blocked for likely prompt injection
+ */
+
+/** @typedef {Object} ModelClient
+ * @property {(prompt: string) => Promise<string>} complete - Returns the raw model text
+ */
+
+/**
+ * Build the analysis prompt for an issue.
+ * @param {string} repo - Full name, `owner/name`
+ * @param {number} number
+ * @param {object} issue
+ * @param {object} [repoConf]
+ * @returns {string}
+ */
+export function buildAnalysisPrompt(repo, number, issue, repoConf = {}) {
+  const labels = (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)).filter(Boolean);
+
+  const lines = [
+    `You are triaging a GitHub issue for the ${repo.split('/')[0]} organization.`,
+    '',
+    '## Issue',
+    `Repository: ${repo}`,
+    `Number: #${number}`,
+    `Title: ${sanitizeText(issue.title) || '(no title)'}`,
+    `Author: ${issue.user?.login || 'unknown'}`,
+    `Labels: ${labels.length ? labels.join(', ') : '(none)'}`,
+    '',
+    sanitizeText(issue.body) || '(no description)',
+    '',
+  ];
+
+  if (repoConf.context) {
+    lines.push('## Repository Context', repoConf.context, '');
+  }
+
+  lines.push(
+    '## Auto-Fix Guidelines',
+    'Mark an issue autoFixable only if a coding agent could resolve it without further input:',
+    '- The problem and the expected behavior are clear from the issue',
+    '- The change is contained (a bug fix, small feature or copy change), not a redesign',
+    '- It does not touch security, credentials, payments, database migrations or breaking changes',
+    '',
+    '## Clarification',
+    'Try to infer intent from context first. Only list questions in needsClarification when the',
+    'issue cannot be acted on without the answers. Leave it empty otherwise.',
+    '',
+    '## Response Format',
+    'Respond with a single JSON object and nothing else:',
+    '{',
+    `  "type": "${ISSUE_TYPES.join('|')}",`,
+    `  "severity": "${SEVERITIES.join('|')}",`,
+    '  "autoFixable": true,',
+    '  "confidence": 0.0-1.0,',
+    '  "reasoning": "One or two sentences explaining the assessment",',
+    '  "acceptanceCriteria": ["..."],',
+    '  "needsClarification": ["..."],',
+    '  "ralphPrompt": "Detailed instructions for the coding agent, or empty if not autoFixable"',
+    '}',
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Extract the JSON object from raw model output. Tolerates markdown fences and
+ * surrounding prose.
+ * @param {string} text
+ * @returns {object}
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('No JSON object in model response');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+
+/**
+ * Validate and normalize an analysis object against the documented schema.
+ * Throws with every violation listed.
+ * @param {object} raw
+ * @returns {Analysis}
+ */
+export function validateAnalysis(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Analysis must be a JSON object');
+  }
+
+  const errors = [];
+  let confidence = raw.confidence;
+  // Models occasionally answer in percent
+  if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) {
+    confidence = confidence / 100;
+  }
+
+  if (!ISSUE_TYPES.includes(raw.type)) errors.push(`type must be one of ${ISSUE_TYPES.join(', ')}`);
+  if (!SEVERITIES.includes(raw.severity)) errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+  if (typeof raw.autoFixable !== 'boolean') errors.push('autoFixable must be a boolean');
+  if (typeof confidence !== 'number' || Number.isNaN(confidence) || confidence < 0 || confidence > 1) {
+    errors.push('confidence must be a number between 0 and 1');
+  }
+  if (typeof raw.reasoning !== 'string') errors.push('reasoning must be a string');
+  if (raw.acceptanceCriteria !== undefined && !isStringArray(raw.acceptanceCriteria)) {
+    errors.push('acceptanceCriteria must be an array of strings');
+  }
+  if (raw.needsClarification !== undefined && !isStringArray(raw.needsClarification)) {
+    errors.push('needsClarification must be an array of strings');
+  }
+  if (raw.ralphPrompt !== undefined && typeof raw.ralphPrompt !== 'string') {
+    errors.push('ralphPrompt must be a string');
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid analysis: ${errors.join('; ')}`);
+  }
+
+  return {
+    type: raw.type,
+    severity: raw.severity,
+    autoFixable: raw.autoFixable,
+    confidence,
+    reasoning: raw.reasoning,
+    acceptanceCriteria: raw.acceptanceCriteria || [],
+    needsClarification: (raw.needsClarification || []).filter(q => q.trim()),
+    ralphPrompt: raw.ralphPrompt || '',
+  };
+}
+
+/**
+ * Parse raw model output into a validated analysis.
+ * @param {string} text
+ * @returns {Analysis}
+ */
+export function parseAnalysis(text) {
+  return validateAnalysis(extractJson(String(text ?? '')));
+}
+
+/**
+ * Analysis used when the model is unavailable or keeps returning malformed
+ * output. Never auto-fixable, so the issue falls through to a plain notification.
+ * @param {string} reason
+ * @returns {Analysis}
+ */
+export function fallbackAnalysis(reason) {
+  return {
+    type: 'question',
+    severity: 'medium',
+    autoFixable: false,
+    confidence: 0,
+    reasoning: `Automated analysis unavailable: ${reason}`,
+    acceptanceCriteria: [],
+    needsClarification: [],
+    ralphPrompt: '',
+    degraded: true,
+  };
+}
+
+/**
+ * Model client backed by the Anthropic Messages API.
+ * @param {object} [options]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.model]
+ * @param {string} [options.baseUrl]
+ * @returns {ModelClient}
+ */
+export function createAnthropicClient(options = {}) {
+  return {
+    async complete(prompt) {
+      const apiKey = options.apiKey ?? env.anthropicApiKey;
+      if (!apiKey) {
+        throw new Error('ANTHROPIC_API_KEY not configured');
+      }
+
+      const res = await fetch(`${options.baseUrl ?? env.anthropicBaseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: options.model ?? env.analyzerModel,
+          max_tokens: 2048,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        throw new Error(`Anthropic API error ${res.status}: ${body}`);
+      }
+
+      const data = await res.json();
+      return (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('');
+    },
+  };
+}
+
+/**
+ * Analyze an issue with the model. Malformed responses are retried with the
+ * validation error appended to the prompt; after maxAttempts the fallback
+ * analysis is returned instead of throwing.
+ * @param {string} repo
+ * @param {number} number
+ * @param {object} issue
+ * @param {object} [options]
+ * @param {ModelClient} [options.client]
+ * @param {object} [options.repoConf]
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<Analysis>}
+ */
+export async function analyzeIssue(repo, number, issue, options = {}) {
+  const client = options.client || createAnthropicClient();
+  const maxAttempts = options.maxAttempts ?? 2;
+  const prompt = buildAnalysisPrompt(repo, number, issue, options.repoConf);
+
+  let lastError;
+  let rejected = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const attemptPrompt = rejected
+      ? `${prompt}\n\nYour previous response was rejected (${rejected}). Reply with valid JSON only.`
+      : prompt;
+
+    let text;
+    try {
+      text = await client.complete(attemptPrompt);
+    } catch (err) {
+      lastError = err;
+      continue;
+    }
+
+    try {
+      return parseAnalysis(text);
+    } catch (err) {
+      lastError = err;
+      rejected = err.message;
+    }
+  }
+
+  return fallbackAnalysis(lastError.message);
+}
+
+/**
+ * Decide what to do with an analyzed issue.
+ *
+ * - clarify    → the model asked questions
+ * - auto-spawn → autoFixable, confidence ≥ thresholds.autoSpawn, repo allows it, no blocked pattern
+ * - offer-fix  → autoFixable, confidence ≥ thresholds.offerFix (or auto-spawn disabled for the repo)
+ * - notify     → everything else
+ * @param {Analysis} analysis
+ * @param {import('./repos.js').RepoConfig} repoConf
+ * @param {object} issue
+ * @param {{ autoSpawn: number, offerFix: number }} [thresholds]
+ * @returns {Decision}
+ */
+export function determineAction(analysis, repoConf, issue, thresholds = defaultThresholds) {
+  if (analysis.degraded) {
+    return { action: 'notify', reason: 'Analysis unavailable' };
+  }
+
+  if (analysis.needsClarification.length > 0) {
+    return { action: 'clarify', reason: `${analysis.needsClarification.length} open question(s)` };
+  }
+
+  const pct = `${Math.round(analysis.confidence * 100)}%`;
+
+  if (!analysis.autoFixable) {
+    return { action: 'notify', reason: 'Not auto-fixable' };
+  }
+
+  const text = `${issue.title || ''}\n${issue.body || ''}`;
+  const blocked = (repoConf.noAutoFixPatterns || []).find(pattern => pattern.test(text));
+  if (blocked) {
+    return { action: 'notify', reason: `Matches no-auto-fix pattern ${blocked}` };
+  }
+
+  // Only a person who has read the issue can decide it's safe to hand to Ralph
+  const injection = detectIssueInjection(issue);
+  if (injection.length) {
+    return { action: 'notify', reason: `Possible prompt injection (${describeFindings(injection)})`, injection };
+  }
+
+  if (analysis.confidence >= thresholds.autoSpawn) {
+    if (repoConf.autoSpawnEnabled) {
+      return { action: 'auto-spawn', reason: `Confidence ${pct} ≥ ${Math.round(thresholds.autoSpawn * 100)}%` };
+    }
+    return { action: 'offer-fix', reason: `Confidence ${pct}, auto-spawn disabled for repo` };
+  }
+
+  if (analysis.confidence >= thresholds.offerFix) {
+    return { action: 'offer-fix', reason: `Confidence ${pct} ≥ ${Math.round(thresholds.offerFix * 100)}%` };
+  }
+
+  return { action: 'notify', reason: `Confidence ${pct} below offer-fix threshold` };
+}
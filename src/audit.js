@@ -0,0 +1,93 @@
+/** Audit record types */
+export const AUDIT_TYPES = ['event', 'issue-change', 'triage', 'notification', 'command', 'spawn', 'run', 'pull-request'];
+
+/** @typedef {Object} AuditRecord
+ * @property {string} at - ISO timestamp
+ * @property {string} type - One of AUDIT_TYPES
+ * @property {string} [repo] - Full name
+ * @property {number} [number] - Issue number
+ * Plus fields for the type: the event and delivery, the decision and why,
+ * the command and who issued it, a spawn's outcome, ...
+ */
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+
+/**
+ * Append-only record of what happened to each issue, kept in the `audit`
+ * log of the state store (`audit.jsonl` for the file store). Records are
+ * never changed, but the file store rotates the log at STATE_LOG_MAX_MB and
+ * drops the rotation before that, so history and `since` only reach back
+ * across the current and previous file.
+ * @param {import('./state.js').StateStore} store
+ */
+export function createAuditLog(store) {
+  return {
+    /**
+     * Append a record. Doesn't wait for the write; the store reports failures.
+     * @param {string} type - One of AUDIT_TYPES
+     * @param {object} fields - repo, number and details
+     * @returns {AuditRecord}
+     */
+    record(type, fields) {
+      const entry = { at: new Date().toISOString(), ...fields, type };
+      store.append('audit', entry);
+      return entry;
+    },
+
+    /**
+     * Everything recorded for an issue, oldest first. Repo names match
+     * case-insensitively.
+     * @param {string} repo - Full name
+     * @param {number} number
+     * @returns {Promise<AuditRecord[]>}
+     */
+    async history(repo, number) {
+      const key = repo.toLowerCase();
+      return (await store.readLog('audit'))
+        .filter(entry => entry.repo?.toLowerCase() === key && entry.number === number);
+    },
+
+    /**
+     * Records after a point in time, oldest first. To page through, pass the
+     * last record's `at` as the next `since`.
+     * @param {string} [since] - ISO timestamp; omitted means from the start
+     * @param {number} [limit]
+     * @returns {Promise<{ events: AuditRecord[], more: boolean }>}
+     */
+    async since(since, limit = DEFAULT_LIMIT) {
+      const max = Math.min(Math.max(limit, 1), MAX_LIMIT);
+      const after = (await store.readLog('audit')).filter(entry => !since || entry.at > since);
+      return { events: after.slice(0, max), more: after.length > max };
+    },
+  };
+}
+
+/**
+ * Wrap a notifier so every notification, retries included, is recorded with
+ * its outcome. Errors still propagate so callers can retry.
+ * @param {object} notifier - notifyNewIssue, notifyRalphSpawned, notifyRunUpdate, notifyPullRequest
+ * @param {ReturnType<typeof createAuditLog>} audit
+ * @returns {object}
+ */
+export function auditNotifier(notifier, audit) {
+  // `target` picks the issue out of the notifier function's arguments
+  const wrap = (name, kind, target) => async (...args) => {
+    const { repo, number } = target(...args);
+    try {
+      await notifier[name](...args);
+      audit.record('notification', { repo, number, kind, outcome: 'sent' });
+    } catch (err) {
+      audit.record('notification', { repo, number, kind, outcome: 'failed', error: err.message });
+      throw err;
+    }
+  };
+
+  return {
+    ...notifier,
+    notifyNewIssue: wrap('notifyNewIssue', 'new-issue', (repo, number) => ({ repo, number })),
+    notifyRalphSpawned: wrap('notifyRalphSpawned', 'ralph-spawned', (repo, number) => ({ repo, number })),
+    notifyRunUpdate: wrap('notifyRunUpdate', 'run-update', run => ({ repo: run.repo, number: run.number })),
+    notifyPullRequest: wrap('notifyPullRequest', 'pull-request', run => ({ repo: run.repo, number: run.number })),
+  };
+}
@@ -0,0 +1,218 @@
+import { env } from './config.js';
+import { inlineKeyboard } from './telegram.js';
+
+/** @typedef {Object} Message - Channel-neutral notification, rendered by each channel
+ * @property {string} kind - e.g. new-issue, ralph-spawned; lets webhook consumers route
+ * @property {string} icon - Emoji shown before the title
+ * @property {string} title
+ * @property {string} [subtitle]
+ * @property {string[]} [paragraphs] - Plain text; may contain newlines
+ * @property {{ heading: string, items: string[] }} [list] - Rendered as a numbered list
+ * @property {string} [url]
+ * @property {string} [footer]
+ * @property {string[]} [actions] - Telegram inline buttons (see src/telegram.js); needs meta.repo and meta.number
+ * @property {object} [meta] - Structured fields (repo, number, ...) for webhook consumers
+ */
+
+/** @typedef {Object} ChannelConfig
+ * @property {'telegram'|'slack'|'discord'|'webhook'} type
+ * @property {string} [chatId] - telegram: overrides TELEGRAM_CHAT_ID
+ * @property {string} [url] - slack/discord/webhook: target URL
+ * @property {string} [urlEnv] - slack/discord/webhook: name of an env var holding the URL (keeps secrets out of config)
+ */
+
+/** @typedef {Object} Channel
+ * @property {string} name
+ * @property {(message: Message) => Promise<void>} send
+ */
+
+/**
+ * Render a message as plain text (Telegram, logs). Blocks are separated by
+ * blank lines; the link and footer share the last block.
+ * @param {Message} message
+ * @returns {string}
+ */
+export function renderText(message) {
+  const head = [`${message.icon} ${message.title}`, message.subtitle];
+  const list = message.list?.items.length
+    ? [message.list.heading, ...message.list.items.map((item, i) => `${i + 1}. ${item}`)].join('\n')
+    : '';
+  const tail = [message.url && `\u{1F517} ${message.url}`, message.footer];
+
+  return [
+    head.filter(Boolean).join('\n'),
+    ...(message.paragraphs || []),
+    list,
+    tail.filter(Boolean).join('\n'),
+  ].filter(Boolean).join('\n\n');
+}
+
+const escapeSlack = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Render a message as a Slack incoming-webhook payload (mrkdwn).
+ * @param {Message} message
+ * @returns {object}
+ */
+export function renderSlack(message) {
+  const lines = [`*${escapeSlack(`${message.icon} ${message.title}`)}*`];
+  if (message.subtitle) lines.push(escapeSlack(message.subtitle));
+
+  for (const paragraph of message.paragraphs || []) {
+    lines.push('', escapeSlack(paragraph));
+  }
+
+  if (message.list?.items.length) {
+    lines.push('', `*${escapeSlack(message.list.heading)}*`);
+    message.list.items.forEach((item, i) => lines.push(`${i + 1}. ${escapeSlack(item)}`));
+  }
+
+  if (message.url) lines.push('', `<${message.url}|View on GitHub>`);
+  if (message.footer) lines.push(`_${escapeSlack(message.footer)}_`);
+
+  return { text: lines.join('\n') };
+}
+
+const escapeDiscord = (text) => text.replace(/([\\*_~`|>])/g, '\\$1');
+
+/**
+ * Render a message as a Discord webhook payload (single embed).
+ * @param {Message} message
+ * @returns {object}
+ */
+export function renderDiscord(message) {
+  const parts = [];
+  if (message.subtitle) parts.push(`**${escapeDiscord(message.subtitle)}**`);
+  for (const paragraph of message.paragraphs || []) parts.push(escapeDiscord(paragraph));
+  if (message.list?.items.length) {
+    parts.push([
+      `**${escapeDiscord(message.list.heading)}**`,
+      ...message.list.items.map((item, i) => `${i + 1}. ${escapeDiscord(item)}`),
+    ].join('\n'));
+  }
+
+  const embed = {
+    title: `${message.icon} ${message.title}`.slice(0, 256),
+    description: parts.join('\n\n').slice(0, 4096),
+  };
+  if (message.url) embed.url = message.url;
+  if (message.footer) embed.footer = { text: message.footer.slice(0, 2048) };
+
+  return { embeds: [embed] };
+}
+
+/**
+ * Seconds the server asked us to wait before retrying: Telegram puts it in
+ * `parameters.retry_after`, Slack and Discord send a Retry-After header.
+ * @param {Response} res
+ * @param {string} text - Response body
+ * @returns {number|undefined}
+ */
+function retryAfterSeconds(res, text) {
+  try {
+    const seconds = JSON.parse(text)?.parameters?.retry_after;
+    if (seconds > 0) return seconds;
+  } catch {
+    // Not JSON; fall back to the header
+  }
+  const header = Number(res.headers.get('retry-after'));
+  return header > 0 ? header : undefined;
+}
+
+/**
+ * POST JSON and throw on a non-2xx response. The error carries `status`, and
+ * `retryAfter` (seconds) when the server sent one.
+ * @param {string} name - Channel name for the error message
+ * @param {string} url
+ * @param {object} body
+ */
+async function postJson(name, url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`${name} API error ${res.status}: ${text}`);
+    err.status = res.status;
+    const retryAfter = retryAfterSeconds(res, text);
+    if (retryAfter) err.retryAfter = retryAfter;
+    throw err;
+  }
+}
+
+/**
+ * Resolve a channel's target URL from `url` or the env var named by `urlEnv`.
+ * @param {ChannelConfig} config
+ * @returns {string}
+ */
+function channelUrl(config) {
+  const url = config.url || (config.urlEnv ? process.env[config.urlEnv] : '');
+  if (!url) {
+    throw new Error(`${config.type} channel has no URL (set url or urlEnv${config.urlEnv ? ` ${config.urlEnv}` : ''})`);
+  }
+  return url;
+}
+
+const channelFactories = {
+  telegram: (config) => ({
+    name: 'telegram',
+    async send(message) {
+      await postJson('Telegram', `${env.telegramApiUrl}/bot${env.telegramBotToken}/sendMessage`, {
+        chat_id: config.chatId || env.telegramChatId,
+        text: renderText(message),
+        ...(message.actions?.length && {
+          reply_markup: inlineKeyboard(message.actions, message.meta.repo, message.meta.number),
+        }),
+      });
+    },
+  }),
+  slack: (config) => ({
+    name: 'slack',
+    send: async (message) => postJson('Slack', channelUrl(config), renderSlack(message)),
+  }),
+  discord: (config) => ({
+    name: 'discord',
+    send: async (message) => postJson('Discord', channelUrl(config), renderDiscord(message)),
+  }),
+  webhook: (config) => ({
+    name: 'webhook',
+    send: async (message) => postJson('Webhook', channelUrl(config), { ...message, text: renderText(message) }),
+  }),
+};
+
+export const CHANNEL_TYPES = Object.keys(channelFactories);
+
+/**
+ * What's missing for a channel to send, without sending anything.
+ * @param {ChannelConfig} config
+ * @returns {string|null} The problem, or null if the channel is configured
+ */
+export function channelConfigProblem(config) {
+  if (config.type === 'telegram') {
+    if (!env.telegramBotToken) return 'telegram channel needs TELEGRAM_BOT_TOKEN';
+    if (!config.chatId && !env.telegramChatId) return 'telegram channel has no chat (set chatId or TELEGRAM_CHAT_ID)';
+    return null;
+  }
+  try {
+    channelUrl(config);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Create a channel from its config.
+ * @param {ChannelConfig} config
+ * @returns {Channel}
+ */
+export function createChannel(config) {
+  const factory = channelFactories[config?.type];
+  if (!factory) {
+    throw new Error(`Unknown notification channel type: ${config?.type}`);
+  }
+  return factory(config);
+}
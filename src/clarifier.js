@@ -0,0 +1,60 @@
+import { createHash } from 'node:crypto';
+import { listComments, postComment } from './github.js';
+
+/** Asked when someone requests clarification but triage found nothing specific to ask */
+export const GENERIC_QUESTIONS = [
+  'What did you expect to happen, and what happened instead?',
+  'What are the steps to reproduce it?',
+  'Which version, browser or environment did you see it in?',
+];
+
+/**
+ * Hidden marker identifying a set of clarification questions. Identical
+ * questions produce the same marker, so redelivered webhooks can be detected.
+ * @param {string[]} questions
+ * @returns {string}
+ */
+export function clarificationMarker(questions) {
+  const hash = createHash('sha256').update(questions.join('\n')).digest('hex').slice(0, 12);
+  return `<!-- atriumn-issue-triage:clarify:${hash} -->`;
+}
+
+/**
+ * Format clarification questions as a GitHub comment.
+ * @param {string[]} questions
+ * @returns {string}
+ */
+export function formatClarificationComment(questions) {
+  return [
+    'Thanks for opening this issue! Before we can work on it, could you help with a few questions?',
+    '',
+    ...questions.map((q, i) => `${i + 1}. ${q}`),
+    '',
+    '---',
+    '<sub>\u{1F916} Posted by atriumn issue triage. Reply here and we\'ll take another look.</sub>',
+    clarificationMarker(questions),
+  ].join('\n');
+}
+
+/**
+ * Post clarification questions on an issue, unless the same questions were
+ * already posted.
+ * @param {string} repo
+ * @param {number} number
+ * @param {string[]} questions
+ * @returns {Promise<{ posted: boolean, commentId?: number }>}
+ */
+export async function postClarification(repo, number, questions) {
+  if (!questions.length) {
+    return { posted: false };
+  }
+
+  const marker = clarificationMarker(questions);
+  const existing = await listComments(repo, number);
+  if (existing.some(c => (c.body || '').includes(marker))) {
+    return { posted: false };
+  }
+
+  const comment = await postComment(repo, number, formatClarificationComment(questions));
+  return { posted: true, commentId: comment.id };
+}
@@ -0,0 +1,169 @@
+/** Sub-commands accepted after /ralph */
+export const RALPH_SUBCOMMANDS = ['retry', 'force', 'cancel', 'status'];
+
+/** @typedef {Object} Command
+ * @property {'ralph'|'triage'} name
+ * @property {'run'|'retry'|'force'|'cancel'|'status'|'unknown'} sub - Always 'run' for /triage
+ * @property {string} args - Extra instructions for `run`/`retry`/`force`, the unrecognized word for `unknown`
+ * @property {string} line - The line the command was found on
+ */
+
+const COMMAND_RE = /^\/(ralph|triage)(?:\s+(.*))?$/i;
+
+/**
+ * Parse a single comment line.
+ *
+ * `/ralph` followed by a known sub-command runs it. A single bare word that
+ * isn't a sub-command (`/ralph retyr`) is treated as a typo and yields
+ * `unknown`; anything longer is free-form instructions for Ralph.
+ * @param {string} line
+ * @returns {Command|null}
+ */
+function parseLine(line) {
+  const match = line.match(COMMAND_RE);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const rest = (match[2] || '').trim();
+
+  if (name === 'triage') {
+    return { name, sub: 'run', args: '', line };
+  }
+
+  const [first = '', ...others] = rest.split(/\s+/);
+  const word = first.toLowerCase();
+
+  if (RALPH_SUBCOMMANDS.includes(word)) {
+    return { name, sub: word, args: others.join(' '), line };
+  }
+  if (others.length === 0 && /^[a-z][\w-]*$/i.test(first)) {
+    return { name, sub: 'unknown', args: first, line };
+  }
+  return { name, sub: 'run', args: rest, line };
+}
+
+/**
+ * Split a comment into lines, each with the command on it. Quoted (`>`)
+ * lines and fenced code blocks never hold commands.
+ * @param {string} body
+ * @returns {Array<{ raw: string, command: Command|null }>}
+ */
+function scanLines(body) {
+  let inFence = false;
+
+  return (body || '').split(/\r?\n/).map(raw => {
+    const line = raw.trim();
+    if (line.startsWith('```') || line.startsWith('~~~')) {
+      inFence = !inFence;
+      return { raw, command: null };
+    }
+    if (inFence || line.startsWith('>')) return { raw, command: null };
+    return { raw, command: parseLine(line) };
+  });
+}
+
+/**
+ * Find all commands in a comment. Commands may appear on any line; quoted
+ * (`>`) lines and fenced code blocks are ignored so replies that quote an
+ * earlier command don't re-trigger it.
+ * @param {string} body
+ * @returns {Command[]}
+ */
+export function parseCommands(body) {
+  return scanLines(body).map(l => l.command).filter(Boolean);
+}
+
+/**
+ * A comment without its command lines, keeping everything else (repro
+ * steps, logs, quoted commands).
+ * @param {string} body
+ * @returns {string}
+ */
+export function stripCommands(body) {
+  return scanLines(body).filter(l => !l.command).map(l => l.raw).join('\n').trim();
+}
+
+/**
+ * First command in a comment, or null.
+ * @param {string} body
+ * @returns {Command|null}
+ */
+export function parseCommand(body) {
+  return parseCommands(body)[0] || null;
+}
+
+/**
+ * Help comment for an unrecognized /ralph sub-command.
+ * @param {Command} command
+ * @returns {string}
+ */
+export function formatHelpComment(command) {
+  return [
+    `Unknown command \`/ralph ${command.args}\`.`,
+    '',
+    'Available commands:',
+    '- `/ralph [instructions]` — spawn Ralph, optionally with extra instructions',
+    '- `/ralph retry` — spawn Ralph again even if it already ran for this issue',
+    '- `/ralph force` — spawn Ralph even though the issue looks like a prompt injection attempt',
+    '- `/ralph cancel` — stop Ralph\'s session for this issue',
+    '- `/ralph status` — show whether Ralph has run for this issue',
+    '- `/triage` — re-run triage on this issue',
+  ].join('\n');
+}
+
+/**
+ * Status comment for /ralph status. The run's state wins over the spawn
+ * timestamp when there is one.
+ * @param {number|undefined} spawnedAt - Epoch ms of the last spawn, if any
+ * @param {import('./runs.js').Run} [run]
+ * @returns {string}
+ */
+export function formatStatusComment(spawnedAt, run) {
+  if (run) {
+    const lines = [`Ralph's latest run for this issue is **${run.state}** (updated ${run.updatedAt}).`];
+    if (run.prUrl) lines.push(`Pull request: ${run.prUrl}`);
+    if (run.message) lines.push(`Last update: ${run.message}`);
+    return lines.join('\n');
+  }
+  if (!spawnedAt) {
+    return 'Ralph has not been spawned for this issue. Comment `/ralph` to start.';
+  }
+  return `Ralph was last spawned for this issue at ${new Date(spawnedAt).toISOString()}. Comment \`/ralph retry\` to run it again.`;
+}
+
+/**
+ * Comment for a spawn that has to wait for a free slot.
+ * @param {number} position - 1-based place in the spawn queue
+ * @returns {string}
+ */
+export function formatQueuedComment(position) {
+  const ahead = position - 1;
+  const wait = ahead === 0 ? 'It\'s next in line' : `${ahead} spawn${ahead === 1 ? ' is' : 's are'} ahead of it`;
+  return `Ralph is busy, so this issue is queued (position ${position}). ${wait}; it will start automatically when a slot frees up.`;
+}
+
+/**
+ * Reply when a spawn is refused because the issue looks like prompt injection.
+ * @param {import('./sanitize.js').InjectionFinding[]} findings
+ * @returns {string}
+ */
+export function formatBlockedComment(findings) {
+  return [
+    'Ralph wasn\'t spawned: this issue contains text that looks like instructions aimed at an AI agent.',
+    '',
+    ...findings.map(f => `- ${f.rule}: \`${f.excerpt.replace(/`/g, '\'')}\``),
+    '',
+    'If the issue is legitimate, comment `/ralph force` to spawn Ralph anyway.',
+  ].join('\n');
+}
+
+/**
+ * Reply for a command from someone not allowed to run it.
+ * @param {Command} command
+ * @param {string} user
+ * @param {string} reason - From isCommandAuthorized
+ * @returns {string}
+ */
+export function formatRejectedComment(command, user, reason) {
+  return `@${user} sorry, \`/${command.name}\` can only be run by maintainers of this repository (${reason}).`;
+}
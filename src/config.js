@@ -1,47 +1,44 @@
-/** @typedef {Object} RepoConfig
- * @property {boolean} enabled
- * @property {string} projectDir
- */
+import { fileURLToPath } from 'node:url';
 
-/** @type {Record<string, RepoConfig>} */
-export const repoConfig = {
-  idynic: {
-    enabled: true,
-    projectDir: '/home/jeff/projects/idynic',
-  },
-  veriumn: {
-    enabled: true,
-    projectDir: '/home/jeff/projects/veriumn',
-  },
-  ovrly: {
-    enabled: true,
-    projectDir: '/home/jeff/projects/ovrly',
-  },
-  tariff: {
-    enabled: true,
-    projectDir: '/home/jeff/projects/tariff',
-  },
-  'atriumn-site': {
-    enabled: true,
-    projectDir: '/home/jeff/projects/atriumn-site',
-  },
+/** Confidence thresholds for determineAction() */
+export const thresholds = {
+  autoSpawn: 0.85,   // Auto-spawn Ralph immediately
+  offerFix: 0.70,    // Notify Jeff with option to spawn
 };
 
-/**
- * Get config for a repo, falling back to disabled defaults.
- * @param {string} repoName
- * @returns {RepoConfig}
- */
-export function getRepoConfig(repoName) {
-  return repoConfig[repoName] || { enabled: false, projectDir: '' };
-}
-
 /** Environment config — uses getters so tests can set env vars after import */
 export const env = {
   get port() { return parseInt(process.env.PORT || '3847', 10); },
+  get stateDir() { return process.env.STATE_DIR || '/var/lib/issue-triage'; },
+  get stateLogMaxMb() { return parseFloat(process.env.STATE_LOG_MAX_MB || '16'); },
   get webhookSecret() { return process.env.GITHUB_WEBHOOK_SECRET || ''; },
+  get webhookMaxAgeSeconds() { return parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS || '0', 10); },
+  get githubToken() { return process.env.GITHUB_TOKEN || ''; },
+  get githubApiUrl() { return process.env.GITHUB_API_URL || 'https://api.github.com'; },
+  get githubAppId() { return process.env.GITHUB_APP_ID || ''; },
+  get githubAppPrivateKeyFile() { return process.env.GITHUB_APP_PRIVATE_KEY_FILE || ''; },
   get telegramBotToken() { return process.env.TELEGRAM_BOT_TOKEN || ''; },
   get telegramChatId() { return process.env.TELEGRAM_CHAT_ID || ''; },
+  get telegramApiUrl() { return process.env.TELEGRAM_API_URL || 'https://api.telegram.org'; },
+  get telegramWebhookSecret() { return process.env.TELEGRAM_WEBHOOK_SECRET || ''; },
+  get telegramSnoozeHours() { return parseFloat(process.env.TELEGRAM_SNOOZE_HOURS || '24'); },
+  get repoConfigFile() { return process.env.REPO_CONFIG_FILE || fileURLToPath(new URL('../config/repos.yaml', import.meta.url)); },
   get ralphSpawnScript() { return process.env.RALPH_SPAWN_SCRIPT || '/home/jeff/projects/alloy/shared/scripts/ralph-spawn.sh'; },
   get ralphContainer() { return process.env.RALPH_CONTAINER || 'alloy-jeff'; },
+  get ralphExecutor() { return process.env.RALPH_EXECUTOR || 'docker'; },
+  get templateDir() { return process.env.TEMPLATE_DIR || fileURLToPath(new URL('../templates', import.meta.url)); },
+  get promptContextTokens() { return parseInt(process.env.PROMPT_CONTEXT_TOKENS || '4000', 10); },
+  get promptDir() { return process.env.PROMPT_DIR || fileURLToPath(new URL('../.prompts', import.meta.url)); },
+  get ralphCallbackUrl() { return process.env.RALPH_CALLBACK_URL || ''; },
+  get ralphCallbackToken() { return process.env.RALPH_CALLBACK_TOKEN || ''; },
+  get spawnConcurrency() { return parseInt(process.env.SPAWN_CONCURRENCY || '2', 10); },
+  get spawnConcurrencyPerRepo() { return parseInt(process.env.SPAWN_CONCURRENCY_PER_REPO || '1', 10); },
+  get spawnSlotTimeoutMinutes() { return parseInt(process.env.SPAWN_SLOT_TIMEOUT_MINUTES || '120', 10); },
+  get anthropicApiKey() { return process.env.ANTHROPIC_API_KEY || ''; },
+  get anthropicBaseUrl() { return process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'; },
+  get analyzerModel() { return process.env.ANALYZER_MODEL || 'claude-opus-4-1'; },
+  get adminToken() { return process.env.ADMIN_TOKEN || ''; },
+  get retryMaxAttempts() { return parseInt(process.env.RETRY_MAX_ATTEMPTS || '5', 10); },
+  get retryBaseDelayMs() { return parseInt(process.env.RETRY_BASE_DELAY_MS || '30000', 10); },
+  get readyCacheSeconds() { return parseInt(process.env.READY_CACHE_SECONDS || '30', 10); },
 };
@@ -0,0 +1,119 @@
+import { env } from './config.js';
+import { getIssue, listComments } from './github.js';
+import { stripCommands } from './commands.js';
+import { parseIssueReferences } from './pulls.js';
+
+/** @typedef {Object} IssueContext - Extra material for Ralph's prompt, already trimmed to the token budget
+ * @property {string[]} labels - Current labels
+ * @property {string} comments - Attributed comments, oldest first
+ * @property {string} references - Issues and PRs the issue or its comments refer to
+ * @property {number} omitted - Comments and references dropped to fit the budget
+ * @property {string[]} errors - Lookups that failed; the prompt is built without them
+ */
+
+/** Most referenced issues/PRs fetched for one prompt */
+const MAX_REFERENCES = 5;
+
+/**
+ * Rough token count for budgeting (~4 characters per token for English and code).
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Whether a comment was written by a bot (GitHub App or `*[bot]` account).
+ * @param {object} comment
+ * @returns {boolean}
+ */
+export function isBotComment(comment) {
+  return comment.user?.type === 'Bot' || /\[bot\]$/.test(comment.user?.login || '');
+}
+
+/**
+ * Cut text to about `maxTokens`, marking the cut.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function truncate(text, maxTokens) {
+  const max = maxTokens * 4;
+  return text.length <= max ? text : `${text.slice(0, max).trimEnd()}\n… (truncated)`;
+}
+
+const quote = (text) => text.trim().split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+
+/**
+ * Fetch what Ralph should know beyond the issue body: the comment thread
+ * (minus bots, and minus /ralph and /triage lines, which are already in the
+ * prompt as instructions), current labels, and referenced issues/PRs in the
+ * same repo. Everything is attributed and trimmed to `budgetTokens`; comments
+ * are kept before references, newest first, since the latest ones usually
+ * hold the repro or the maintainer's clarification. The thread is still shown
+ * oldest first. Failed lookups are skipped, never fatal.
+ * @param {string} repo - Full name, `owner/name`
+ * @param {number} number
+ * @param {object} issue - Issue from the webhook payload
+ * @param {object} [options]
+ * @param {{ getIssue: Function, listComments: Function }} [options.github]
+ * @param {number} [options.budgetTokens] - Defaults to PROMPT_CONTEXT_TOKENS; 0 skips fetching
+ * @returns {Promise<IssueContext>}
+ */
+export async function gatherIssueContext(repo, number, issue, options = {}) {
+  const { github = { getIssue, listComments }, budgetTokens = env.promptContextTokens } = options;
+  const labelNames = (labels) => (labels || []).map(l => (typeof l === 'string' ? l : l.name)).filter(Boolean);
+  const context = { labels: labelNames(issue.labels), comments: '', references: '', omitted: 0, errors: [] };
+  if (budgetTokens <= 0) return context;
+
+  const [fresh, comments] = await Promise.all([
+    github.getIssue(repo, number).catch(err => { context.errors.push(`issue: ${err.message}`); }),
+    github.listComments(repo, number).catch(err => { context.errors.push(`comments: ${err.message}`); return []; }),
+  ]);
+  if (fresh) context.labels = labelNames(fresh.labels);
+
+  const thread = comments
+    .filter(c => !isBotComment(c))
+    .map(c => ({ ...c, body: stripCommands(c.body) }))
+    .filter(c => c.body);
+
+  const numbers = parseIssueReferences([issue.body, ...thread.map(c => c.body)].join('\n'), repo)
+    .filter(n => n !== number)
+    .slice(0, MAX_REFERENCES);
+  const referenced = await Promise.all(numbers.map(n => github.getIssue(repo, n).catch(err => {
+    context.errors.push(`#${n}: ${err.message}`);
+  })));
+
+  // Any one item gets at most a quarter of the budget, so one huge comment can't crowd out the rest
+  const itemTokens = Math.max(1, Math.floor(budgetTokens / 4));
+  let remaining = budgetTokens;
+  const fit = (text) => {
+    const tokens = estimateTokens(text);
+    if (tokens > remaining) {
+      context.omitted++;
+      return null;
+    }
+    remaining -= tokens;
+    return text;
+  };
+
+  context.comments = thread
+    .map(c => `@${c.user?.login || 'unknown'} commented on ${c.created_at?.slice(0, 10) || 'unknown date'}:\n${quote(truncate(c.body, itemTokens))}`)
+    .reverse()
+    .map(fit)
+    .filter(Boolean)
+    .reverse()
+    .join('\n\n');
+
+  context.references = referenced
+    .filter(Boolean)
+    .map(ref => {
+      const kind = ref.pull_request ? 'pull request' : 'issue';
+      const state = ref.pull_request?.merged_at ? 'merged' : ref.state;
+      const body = ref.body?.trim() ? `\n${quote(truncate(ref.body, Math.floor(itemTokens / 2)))}` : '';
+      return fit(`#${ref.number} (${kind}, ${state}) by @${ref.user?.login || 'unknown'}: ${ref.title}${body}`);
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+  return context;
+}
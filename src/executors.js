@@ -0,0 +1,138 @@
+import { execFile } from 'node:child_process';
+import { access, constants } from 'node:fs/promises';
+import { env } from './config.js';
+
+/** @typedef {Object} ExecutorConfig
+ * @property {'docker'|'local'|'dry-run'} type
+ * @property {string} [container] - docker: overrides RALPH_CONTAINER
+ * @property {string} [script] - docker/local: overrides RALPH_SPAWN_SCRIPT
+ * @property {string} [cwd] - local: working directory for the script
+ */
+
+/** @typedef {Object} Invocation - One call of ralph-spawn.sh
+ * @property {string[]} args
+ * @property {Record<string, string>} [env] - Extra environment for the script (may hold secrets)
+ * @property {string} [prompt] - Prompt text, when `args` point at a prompt file
+ */
+
+/** @typedef {Object} Executor
+ * @property {string} name
+ * @property {(invocation: Invocation) => Promise<void>} run
+ * @property {() => Promise<string>} check - Whether Ralph could be spawned right now; resolves to what was
+ *   checked, rejects with what's wrong
+ */
+
+/** @typedef {Object} DryRun - What a dry-run executor would have run
+ * @property {string} at
+ * @property {string[]} command
+ * @property {string[]} env - Names only; values may be secrets
+ * @property {string} [prompt]
+ */
+
+const SCRIPT_TIMEOUT_MS = 120_000;
+const CHECK_TIMEOUT_MS = 10_000;
+const MAX_DRY_RUNS = 50;
+
+/** @type {DryRun[]} */
+const dryRuns = [];
+
+/**
+ * Run a command, rejecting with its stderr on failure.
+ * @param {string} file
+ * @param {string[]} args
+ * @param {object} options - Passed to execFile
+ * @param {string} [failure] - Error message prefix
+ * @returns {Promise<string>} stdout
+ */
+function run(file, args, options, failure = 'Ralph spawn failed') {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: SCRIPT_TIMEOUT_MS, ...options }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${failure}: ${error.message}${stderr ? ` (${stderr.trim()})` : ''}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Check that a local script exists and is executable.
+ * @param {string} script
+ * @returns {Promise<string>}
+ */
+async function checkScript(script) {
+  try {
+    await access(script, constants.X_OK);
+  } catch {
+    throw new Error(`${script} is missing or not executable`);
+  }
+  return `${script} is executable`;
+}
+
+const executorFactories = {
+  // `-e NAME` makes docker read the value from our environment, so secrets never appear on the command line
+  docker: (config) => ({
+    name: 'docker',
+    run: ({ args, env: extraEnv = {} }) => run(
+      'docker',
+      ['exec', ...Object.keys(extraEnv).flatMap(name => ['-e', name]), config.container || env.ralphContainer,
+        config.script || env.ralphSpawnScript, ...args],
+      { env: { ...process.env, ...extraEnv } },
+    ).then(() => {}),
+    async check() {
+      const container = config.container || env.ralphContainer;
+      const running = await run('docker', ['inspect', '--format', '{{.State.Running}}', container],
+        { timeout: CHECK_TIMEOUT_MS }, `Container ${container} not found`);
+      if (running.trim() !== 'true') throw new Error(`Container ${container} is not running`);
+      return `Container ${container} is running`;
+    },
+  }),
+  local: (config) => ({
+    name: 'local',
+    run: ({ args, env: extraEnv = {} }) => run(
+      config.script || env.ralphSpawnScript,
+      args,
+      { cwd: config.cwd || undefined, env: { ...process.env, ...extraEnv } },
+    ).then(() => {}),
+    check: () => checkScript(config.script || env.ralphSpawnScript),
+  }),
+  'dry-run': (config) => ({
+    name: 'dry-run',
+    async run({ args, env: extraEnv = {}, prompt }) {
+      dryRuns.push({
+        at: new Date().toISOString(),
+        command: [config.script || env.ralphSpawnScript, ...args],
+        env: Object.keys(extraEnv),
+        ...(prompt !== undefined && { prompt }),
+      });
+      dryRuns.splice(0, dryRuns.length - MAX_DRY_RUNS);
+    },
+    check: async () => 'Dry run, nothing is spawned',
+  }),
+};
+
+export const EXECUTOR_TYPES = Object.keys(executorFactories);
+
+/**
+ * Create an executor from its config.
+ * @param {ExecutorConfig} config
+ * @returns {Executor}
+ */
+export function createExecutor(config) {
+  const factory = executorFactories[config?.type];
+  if (!factory) {
+    const err = new Error(`Unknown Ralph executor type: ${config?.type}`);
+    err.retryable = false;
+    throw err;
+  }
+  return factory(config);
+}
+
+/**
+ * What dry-run executors would have run, oldest first (last 50).
+ * @returns {DryRun[]}
+ */
+export function dryRunHistory() {
+  return [...dryRuns];
+}
@@ -0,0 +1,143 @@
+import { createSign } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { env } from './config.js';
+import { getRepoConfig } from './repos.js';
+
+/**
+ * Call the GitHub REST API.
+ * @param {string} method
+ * @param {string} path - e.g. /repos/atriumn/idynic/issues/1/comments
+ * @param {object} [body]
+ * @param {object} [options]
+ * @param {string} [options.token] - Defaults to GITHUB_TOKEN; an installation token or app JWT as a GitHub App
+ * @returns {Promise<any>} Parsed JSON response (null for 204)
+ */
+export async function githubRequest(method, path, body, { token = env.githubToken } = {}) {
+  if (!token) {
+    throw new Error('GITHUB_TOKEN not configured');
+  }
+
+  const res = await fetch(`${env.githubApiUrl}${path}`, {
+    method,
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${token}`,
+      'X-GitHub-Api-Version': '2022-11-28',
+      'User-Agent': 'atriumn-issue-triage',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`GitHub API error ${res.status}: ${text}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  return res.status === 204 ? null : res.json();
+}
+
+/** Whether to authenticate as a GitHub App (GITHUB_APP_ID and its private key) instead of GITHUB_TOKEN */
+export const appAuthEnabled = () => Boolean(env.githubAppId && env.githubAppPrivateKeyFile);
+
+/** Repo full name (lowercase) → installation ID, from webhook payloads and lookups */
+const installations = new Map();
+
+/** Installation ID → { token, expiresAt } */
+const installationTokens = new Map();
+
+/**
+ * Note the installation a webhook for a repo came from, saving a lookup
+ * when we next call the API for it.
+ * @param {string} repo - Full name
+ * @param {number} installationId
+ */
+export function rememberInstallation(repo, installationId) {
+  installations.set(repo.toLowerCase(), installationId);
+}
+
+/** Forget cached installations and tokens (tests, key rotation) */
+export function clearInstallationCache() {
+  installations.clear();
+  installationTokens.clear();
+}
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * A short-lived JWT identifying the app itself, signed with its private key.
+ * @param {number} [now] - Epoch ms
+ * @returns {string}
+ */
+export function appJwt(now = Date.now()) {
+  const iat = Math.floor(now / 1000) - 60; // GitHub allows for clock drift
+  const data = `${base64url({ alg: 'RS256', typ: 'JWT' })}.${base64url({ iat, exp: iat + 600, iss: env.githubAppId })}`;
+  const signature = createSign('RSA-SHA256').update(data).sign(readFileSync(env.githubAppPrivateKeyFile, 'utf-8'), 'base64url');
+  return `${data}.${signature}`;
+}
+
+/**
+ * The token to call the API for a repo with: GITHUB_TOKEN, or as a GitHub
+ * App, an installation token for the repo's owner. The installation comes
+ * from the repo config, else the last webhook, else the API; tokens are
+ * cached until five minutes before they expire.
+ * @param {string} repo - Full name
+ * @returns {Promise<string>}
+ */
+export async function tokenFor(repo) {
+  if (!appAuthEnabled()) return env.githubToken;
+
+  const key = repo.toLowerCase();
+  let id = getRepoConfig(repo).installationId || installations.get(key);
+  if (!id) {
+    ({ id } = await githubRequest('GET', `/repos/${repo}/installation`, undefined, { token: appJwt() }));
+    installations.set(key, id);
+  }
+
+  const cached = installationTokens.get(id);
+  if (cached && cached.expiresAt - Date.now() > 5 * 60 * 1000) return cached.token;
+
+  const { token, expires_at: expiresAt } = await githubRequest(
+    'POST', `/app/installations/${id}/access_tokens`, undefined, { token: appJwt() });
+  installationTokens.set(id, { token, expiresAt: Date.parse(expiresAt) });
+  return token;
+}
+
+/**
+ * Fetch an issue.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {Promise<object>}
+ */
+export async function getIssue(repo, number) {
+  return githubRequest('GET', `/repos/${repo}/issues/${number}`, undefined, { token: await tokenFor(repo) });
+}
+
+/**
+ * List all comments on an issue.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {Promise<object[]>}
+ */
+export async function listComments(repo, number) {
+  const token = await tokenFor(repo);
+  const comments = [];
+  for (let page = 1; ; page++) {
+    const batch = await githubRequest('GET', `/repos/${repo}/issues/${number}/comments?per_page=100&page=${page}`, undefined, { token });
+    comments.push(...batch);
+    if (batch.length < 100) return comments;
+  }
+}
+
+/**
+ * Post a comment on an issue.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @param {string} body - Markdown
+ * @returns {Promise<object>} The created comment
+ */
+export async function postComment(repo, number, body) {
+  return githubRequest('POST', `/repos/${repo}/issues/${number}/comments`, { body }, { token: await tokenFor(repo) });
+}
@@ -0,0 +1,153 @@
+import { accessSync, constants } from 'node:fs';
+import { mkdir, writeFile, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { env } from './config.js';
+import { getRepoConfig, repoNames } from './repos.js';
+import { channelConfigProblem } from './channels.js';
+import { createExecutor } from './executors.js';
+import { executorConfigFor } from './spawner.js';
+import { lastNotifications } from './notifier.js';
+import { appAuthEnabled } from './github.js';
+
+/** @typedef {Object} CheckResult
+ * @property {'ok'|'fail'} status
+ * @property {string} [message]
+ * @property {string[]} [problems] - Every problem found, when there can be several
+ * @property {string} [checkedAt] - Cached checks: when the result was taken
+ */
+
+/** @typedef {Object} Readiness
+ * @property {'ready'|'degraded'} status
+ * @property {Record<string, CheckResult>} checks
+ */
+
+const result = (problems, message) => (problems.length
+  ? { status: 'fail', message: problems.join('; '), problems }
+  : { status: 'ok', message });
+
+const enabledRepos = () => repoNames().filter(repo => getRepoConfig(repo).enabled);
+
+/**
+ * Settings without which webhooks fail or work degrades: the webhook secret,
+ * GitHub and Anthropic credentials, and every enabled repo's channels.
+ * @returns {CheckResult}
+ */
+export function checkConfig() {
+  const problems = new Set();
+  if (!env.webhookSecret) problems.add('GITHUB_WEBHOOK_SECRET is not set, so every webhook fails');
+  if (appAuthEnabled()) {
+    try {
+      accessSync(env.githubAppPrivateKeyFile, constants.R_OK);
+    } catch {
+      problems.add(`GITHUB_APP_PRIVATE_KEY_FILE ${env.githubAppPrivateKeyFile} is not readable`);
+    }
+  } else if (!env.githubToken) {
+    problems.add('Neither GITHUB_TOKEN nor a GitHub App is configured, so comments fail');
+  }
+  if (!env.anthropicApiKey) problems.add('ANTHROPIC_API_KEY is not set, so issues are notified without triage');
+
+  for (const repo of enabledRepos()) {
+    for (const channel of getRepoConfig(repo).channels) {
+      const problem = channelConfigProblem(channel);
+      if (problem) problems.add(`${repo}: ${problem}`);
+    }
+  }
+  return result([...problems], 'Complete');
+}
+
+/**
+ * Whether state can be saved: writes and removes a file in STATE_DIR.
+ * @param {string} [dir]
+ * @returns {Promise<CheckResult>}
+ */
+export async function checkStateDir(dir = env.stateDir) {
+  const probe = join(dir, '.ready-check');
+  try {
+    await mkdir(dir, { recursive: true });
+    await writeFile(probe, new Date().toISOString());
+    await unlink(probe);
+  } catch (err) {
+    return result([`${dir} is not writable: ${err.message}`]);
+  }
+  return result([], `${dir} is writable`);
+}
+
+/**
+ * Whether Ralph could be spawned: checks each executor the enabled repos use
+ * (e.g. that the docker container is running).
+ * @returns {Promise<CheckResult>}
+ */
+export async function checkSpawnBackend() {
+  const configs = new Map();
+  for (const repo of enabledRepos()) {
+    const config = executorConfigFor(repo);
+    configs.set(JSON.stringify(config), config);
+  }
+  if (!configs.size) configs.set('default', { type: env.ralphExecutor });
+
+  const outcomes = await Promise.all([...configs.values()].map(async config => {
+    try {
+      return { ok: await createExecutor(config).check() };
+    } catch (err) {
+      return { problem: `${config.type}: ${err.message}` };
+    }
+  }));
+  return result(outcomes.filter(o => o.problem).map(o => o.problem), outcomes.map(o => o.ok).join('; '));
+}
+
+/**
+ * Whether notifications are getting through: fails while the last send to
+ * any channel type failed.
+ * @returns {CheckResult}
+ */
+export function checkNotifications() {
+  const sends = Object.entries(lastNotifications());
+  const problems = sends
+    .filter(([, send]) => !send.ok)
+    .map(([type, send]) => `${type}: last send failed at ${send.at} (${send.error})`);
+  return result(problems, sends.length ? 'Last sends succeeded' : 'Nothing sent yet');
+}
+
+/**
+ * Readiness checks for GET /ready. Config and notification checks are cheap
+ * and run every time; the state dir and spawn backend are checked at most
+ * once per `cacheMs`, and concurrent requests share a check in progress.
+ * @param {object} [options]
+ * @param {number} [options.cacheMs] - Defaults to READY_CACHE_SECONDS
+ * @param {Record<string, () => Promise<CheckResult>>} [options.cached] - Override the cached checks (tests)
+ */
+export function createReadinessCheck(options = {}) {
+  const cacheMs = options.cacheMs ?? env.readyCacheSeconds * 1000;
+  const expensive = options.cached || { stateDir: () => checkStateDir(), spawnBackend: checkSpawnBackend };
+  /** name → { at, promise } */
+  const cache = new Map();
+
+  const cached = (name) => {
+    const entry = cache.get(name);
+    if (entry && Date.now() - entry.at < cacheMs) return entry.promise;
+    const checkedAt = new Date().toISOString();
+    const promise = expensive[name]().then(check => ({ ...check, checkedAt }));
+    cache.set(name, { at: Date.now(), promise });
+    return promise;
+  };
+
+  return {
+    /** @returns {Promise<Readiness>} */
+    async run() {
+      const names = Object.keys(expensive);
+      const results = await Promise.all(names.map(cached));
+      const checks = {
+        config: checkConfig(),
+        ...Object.fromEntries(names.map((name, i) => [name, results[i]])),
+        notifications: checkNotifications(),
+      };
+      const ready = Object.values(checks).every(check => check.status === 'ok');
+      return { status: ready ? 'ready' : 'degraded', checks };
+    },
+
+    /** Drop cached results so the next run checks again */
+    clear() {
+      cache.clear();
+    },
+  };
+}
@@ -1,48 +1,197 @@
 import Fastify from 'fastify';
 import rateLimit from '@fastify/rate-limit';
-import { env, getRepoConfig } from './config.js';
-import { verifyWebhookSignature } from './security.js';
-import { notifyNewIssue, notifyRalphSpawned } from './notifier.js';
-import { spawnRalph } from './spawner.js';
+import { env } from './config.js';
+import {
+  getRepoConfig, repoNames, loadRepoConfig, watchRepoConfig, setRepoEnabled, repoOverrides,
+} from './repos.js';
+import {
+  verifyWebhookSignature, verifyBearerToken, verifySecretToken, isStalePayload, isCommandAuthorized,
+} from './security.js';
+import { runPipeline, defaultDeps } from './pipeline.js';
+import { createFileStore } from './state.js';
+import { createJobQueue } from './queue.js';
+import { createRunRegistry, formatRunComment, sessionId, TERMINAL_STATES } from './runs.js';
+import { parseClosingReferences, pullRequestState, PULL_REQUEST_ACTIONS } from './pulls.js';
+import { issueChangeAction } from './issues.js';
+import { createSpawnScheduler } from './scheduler.js';
+import { dryRunHistory } from './executors.js';
+import { createReadinessCheck } from './health.js';
+import { createAuditLog, auditNotifier } from './audit.js';
+import { loadTemplates } from './prompts.js';
+import { failedChannels } from './notifier.js';
+import {
+  parseCommand, formatHelpComment, formatStatusComment, formatRejectedComment, formatQueuedComment,
+  formatBlockedComment,
+} from './commands.js';
+import { detectIssueInjection, describeFindings } from './sanitize.js';
+import { rememberInstallation } from './github.js';
+import { GENERIC_QUESTIONS } from './clarifier.js';
+import { parseCallbackData, isAllowedChat, authorizeTelegramUser, formatOutcome, formatSnoozed } from './telegram.js';
+import {
+  metrics, prometheusName, webhookDuration, spawnDuration, signatureFailures, rateLimited, dedupHits, pipelineSteps,
+} from './metrics.js';
 
 const log = (level, msg, data) => {
   const entry = { ts: new Date().toISOString(), level, msg, ...data };
   console[level === 'error' ? 'error' : 'log'](JSON.stringify(entry));
 };
 
-/** In-memory metrics */
-const metrics = {
-  startedAt: new Date().toISOString(),
-  issuesReceived: 0,
-  issuesNotified: 0,
-  ralphSpawned: 0,
-  issuesSkipped: 0,
-  errors: 0,
+const startedAt = new Date().toISOString();
+
+/**
+ * Counters reported at GET /metrics, with their help text. The JSON totals are
+ * persisted in the "metrics" namespace of the state store; the Prometheus
+ * counters are broken down by repo and start from zero on restart.
+ */
+const METRICS = {
+  issuesReceived: 'New issues received',
+  issuesAnalyzed: 'Issues analyzed',
+  analysisFailures: 'Analyses that failed, notified without triage',
+  issuesNotified: 'New-issue notifications sent',
+  autoSpawned: 'Spawns requested by triage',
+  fixesOffered: 'Issues triaged as offer-fix',
+  clarificationsRequested: 'Issues triaged as needing clarification',
+  clarificationsPosted: 'Clarification comments posted',
+  ralphSpawned: 'Ralph sessions started',
+  spawnsBlocked: 'Spawns blocked as possible prompt injection',
+  runsSucceeded: 'Ralph runs that succeeded',
+  runsFailed: 'Ralph runs that failed',
+  runsCancelled: 'Ralph runs that were cancelled',
+  prsOpened: 'PRs opened for Ralph runs',
+  prsMerged: 'PRs merged for Ralph runs',
+  prsClosed: 'PRs closed without merging for Ralph runs',
+  autoSpawnsMerged: 'PRs merged for auto-spawned runs',
+  issuesSkipped: 'New issues skipped (repo disabled or already processed)',
+  issuesRetriaged: 'Issues triaged again after a change',
+  commandsRejected: 'Commands from unauthorized users',
+  duplicateDeliveries: 'Webhook deliveries already handled',
+  staleDeliveries: 'Webhook deliveries rejected as stale',
+  errors: 'Failures in background work',
 };
 
-/** Deduplication set: "repo#number" or "ralph:repo#number" → timestamp */
-const processed = new Map();
+const METRIC_NAMES = Object.keys(METRICS);
+
+const repoCounters = Object.fromEntries(METRIC_NAMES.map(name =>
+  [name, metrics.counter(prometheusName(name), METRICS[name], ['repo'])]));
+
+const queueGauge = metrics.gauge('triage_jobs', 'Retry queue jobs by state', ['state']);
+const spawnGauge = metrics.gauge('triage_spawns', 'Spawns holding or waiting for a slot', ['state']);
+const dedupGauge = metrics.gauge('triage_dedup_keys', 'Issue and spawn dedup keys held');
+
+/**
+ * Increment a metrics counter.
+ * @param {import('./state.js').StateStore} store
+ * @param {string} name - A key of METRICS
+ * @param {{ repo?: string }} [labels]
+ */
+function bump(store, name, labels = {}) {
+  store.set('metrics', name, (store.get('metrics', name) || 0) + 1);
+  repoCounters[name].inc(labels);
+}
+
+/**
+ * Deduplication keys: "issue:repo#number", "ralph:repo#number" or
+ * "retriage:repo#number" (the last edit or reopen re-triage) → timestamp
+ */
 const DEDUP_TTL_MS = 24 * 60 * 60 * 1000; // 24h
 
-function isDuplicate(key) {
-  const ts = processed.get(key);
-  if (ts && Date.now() - ts < DEDUP_TTL_MS) return true;
+/** Kind, repo and issue number of a dedup key */
+const DEDUP_KEY = /^(\w+):(.+)#(\d+)$/;
+
+function isDuplicate(store, key, ttlMs = DEDUP_TTL_MS) {
+  const ts = store.get('processed', key);
+  if (ts && Date.now() - ts < ttlMs) return true;
   return false;
 }
 
-function markProcessed(key) {
-  processed.set(key, Date.now());
+function markProcessed(store, key) {
+  store.set('processed', key, Date.now());
 }
 
-/** Prune old dedup entries periodically */
-function pruneProcessed() {
+/** Delivery IDs (x-github-delivery) → timestamp; kept longer so late redeliveries are still caught */
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7d
+
+/** Prune old dedup and delivery entries periodically */
+function pruneProcessed(store) {
   const cutoff = Date.now() - DEDUP_TTL_MS;
-  for (const [key, ts] of processed) {
-    if (ts < cutoff) processed.delete(key);
+  for (const [key, ts] of store.entries('processed')) {
+    if (ts < cutoff) store.delete('processed', key);
+  }
+
+  const deliveryCutoff = Date.now() - DELIVERY_TTL_MS;
+  for (const [id, ts] of store.entries('deliveries')) {
+    if (ts < deliveryCutoff) store.delete('deliveries', id);
   }
 }
 
-export function buildServer() {
+/**
+ * Build the Fastify app.
+ * @param {object} [options]
+ * @param {Partial<import('./pipeline.js').PipelineDeps>} [options.deps] - Override analyzer, notifier, spawner, clarifier, github, telegram
+ * @param {import('./state.js').StateStore} [options.store] - Defaults to a file store under STATE_DIR
+ * @param {object} [options.queue] - Retry queue options (maxAttempts, baseDelayMs, ...); defaults from env
+ * @param {object} [options.readiness] - Readiness check options (cacheMs, cached); defaults from env
+ */
+export function buildServer(options = {}) {
+  const store = options.store || createFileStore(env.stateDir, {
+    maxLogBytes: env.stateLogMaxMb * 1024 * 1024,
+    onError: err => log('error', 'State write failed', { error: err.message }),
+  });
+
+  /** Background work started by webhooks, so callers can wait for it */
+  const inflight = new Set();
+  const track = (promise) => {
+    inflight.add(promise);
+    promise.finally(() => inflight.delete(promise)).catch(() => {});
+    return promise;
+  };
+
+  /** Per-server state shared by the handlers */
+  const ctx = {
+    store,
+    track,
+    isDuplicate: (key, ttlMs) => {
+      if (!isDuplicate(store, key, ttlMs)) return false;
+      const [, kind, repo] = DEDUP_KEY.exec(key) || [];
+      dedupHits.inc({ repo, kind });
+      return true;
+    },
+    markProcessed: key => markProcessed(store, key),
+    bump: (name, labels) => bump(store, name, labels),
+  };
+  ctx.queue = createJobQueue(store, jobHandlers(ctx), {
+    maxAttempts: env.retryMaxAttempts,
+    baseDelayMs: env.retryBaseDelayMs,
+    log,
+    onDeadLetter: (job, err) => {
+      if (job.type === 'spawn') failRun(job.payload, err, ctx);
+    },
+    ...options.queue,
+  });
+  ctx.audit = createAuditLog(store);
+  ctx.runs = createRunRegistry(store, { onChange: run => onRunChange(run, ctx) });
+  ctx.scheduler = createSpawnScheduler(store, {
+    limits: () => ({ global: env.spawnConcurrency, perRepo: env.spawnConcurrencyPerRepo }),
+    priorityOf: repo => getRepoConfig(repo).priority,
+    start: job => startSpawn(job, ctx),
+    onQueued: (job, position) => {
+      ctx.runs.start(job.repo, job.number, { title: job.issue.title, url: job.issue.html_url, trigger: job.trigger });
+      replyOnIssue({ repoName: job.repo, issueNumber: job.number }, formatQueuedComment(position), ctx);
+    },
+    slotTimeoutMs: env.spawnSlotTimeoutMinutes * 60 * 1000,
+    log,
+  });
+  ctx.readiness = createReadinessCheck(options.readiness);
+  const deps = { ...defaultDeps, ...options.deps };
+  ctx.deps = {
+    ...deps,
+    notifier: auditNotifier(deps.notifier, ctx.audit),
+    dedup: { isDuplicate: ctx.isDuplicate, markProcessed: ctx.markProcessed },
+    queue: ctx.queue,
+    runs: ctx.runs,
+    scheduler: ctx.scheduler,
+  };
+
   const app = Fastify({
     logger: false,
     bodyLimit: 1024 * 1024, // 1MB
@@ -66,24 +215,278 @@ export function buildServer() {
     }
   });
 
-  // Rate limiting: 10 req/min per IP
+  /** Resolves once all background triage and spawn work has settled */
+  app.decorate('idle', async () => {
+    while (inflight.size) await Promise.allSettled([...inflight]);
+  });
+  app.decorate('store', store);
+  app.decorate('queue', ctx.queue);
+  app.decorate('runs', ctx.runs);
+  app.decorate('scheduler', ctx.scheduler);
+  app.decorate('pruneProcessed', () => pruneProcessed(store));
+
+  // Rate limiting: 10 req/min per IP, on /webhook only. Behind the funnel every
+  // request shares one IP, so metrics scrapes, health checks, run callbacks and
+  // Telegram presses would otherwise starve webhooks; those routes check their
+  // own tokens instead. The plugin only hooks routes added after it loads, which
+  // the routes below are not, so apply it from a server-wide hook.
   app.register(rateLimit, {
+    global: false,
     max: 10,
     timeWindow: '1 minute',
+    onExceeded: request => rateLimited.inc({ route: request.routeOptions.url }),
+  });
+  app.after(() => {
+    const limit = app.rateLimit();
+    app.addHook('onRequest', async (request, reply) => {
+      if (request.routeOptions.url === '/webhook') return limit(request, reply);
+    });
   });
 
-  // Health check
+  // Health check: the process is up
   app.get('/health', async () => {
     return { status: 'ok', uptime: process.uptime() };
   });
 
-  // Metrics
-  app.get('/metrics', async () => {
-    return { ...metrics, dedupSize: processed.size };
+  // Readiness: config, state dir, spawn backend and notifications; 503 when any check fails
+  app.get('/ready', async (request, reply) => {
+    const readiness = await ctx.readiness.run();
+    if (readiness.status !== 'ready') reply.code(503);
+    return readiness;
+  });
+
+  // Metrics: JSON by default, Prometheus text for scrapers (`Accept: text/plain`) or `?format=prometheus`
+  app.get('/metrics', async (request, reply) => {
+    const counters = Object.fromEntries(METRIC_NAMES.map(name => [name, store.get('metrics', name) || 0]));
+    const { pending, dead } = ctx.queue.stats();
+    const spawns = ctx.scheduler.state();
+
+    if (wantsPrometheus(request)) {
+      queueGauge.set({ state: 'pending' }, pending);
+      queueGauge.set({ state: 'dead' }, dead);
+      spawnGauge.set({ state: 'active' }, spawns.active.length);
+      spawnGauge.set({ state: 'waiting' }, spawns.waiting.length);
+      dedupGauge.set({}, store.size('processed'));
+      return reply.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+    }
+
+    return {
+      startedAt,
+      ...counters,
+      dedupSize: store.size('processed'),
+      retryPending: pending,
+      deadLetters: dead,
+      spawnsActive: spawns.active.length,
+      spawnsWaiting: spawns.waiting.length,
+      spawnQueue: spawns.waiting,
+    };
+  });
+
+  // Admin routes require `Authorization: Bearer $ADMIN_TOKEN`; disabled when unset
+  const requireAdmin = async (request, reply) => {
+    if (!verifyBearerToken(request.headers.authorization, env.adminToken)) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+  };
+
+  // Retry queue: pending jobs and dead letters
+  app.get('/admin/queue', { onRequest: requireAdmin }, async () => {
+    return { pending: ctx.queue.pending(), dead: ctx.queue.deadLetters() };
+  });
+
+  // Move a dead letter back onto the queue and run it now
+  app.post('/admin/queue/dead/:id/redrive', { onRequest: requireAdmin }, async (request, reply) => {
+    const job = ctx.queue.redrive(request.params.id);
+    if (!job) {
+      return reply.code(404).send({ error: 'Dead letter not found' });
+    }
+    ctx.track(ctx.queue.runDue());
+    return { ok: true, job };
+  });
+
+  // Ralph runs, most recently updated first
+  app.get('/admin/runs', { onRequest: requireAdmin }, async () => {
+    return { runs: ctx.runs.list(), dryRuns: dryRunHistory() };
+  });
+
+  // Dedup keys (`issue:` triaged, `ralph:` spawned), optionally for one repo
+  app.get('/admin/dedup', { onRequest: requireAdmin }, async (request) => {
+    const repo = request.query.repo?.toLowerCase();
+    const keys = store.entries('processed')
+      .filter(([key]) => !repo || DEDUP_KEY.exec(key)?.[2].toLowerCase() === repo)
+      .map(([key, ts]) => ({ key, at: new Date(ts).toISOString(), expired: Date.now() - ts >= DEDUP_TTL_MS }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+    return { keys };
+  });
+
+  // Forget a dedup key (URL-encoded, e.g. `ralph%3Aatriumn%2Fidynic%2312`) so it can happen again
+  app.delete('/admin/dedup/:key', { onRequest: requireAdmin }, async (request, reply) => {
+    const { key } = request.params;
+    if (store.get('processed', key) === undefined) {
+      return reply.code(404).send({ error: 'Dedup key not found' });
+    }
+    store.delete('processed', key);
+    const [, kind, repo, number] = DEDUP_KEY.exec(key) || [];
+    log('info', 'Dedup key cleared', { key });
+    ctx.audit.record('command', {
+      repo, number: number && Number(number), source: 'admin', command: 'clear-dedup', key, kind,
+    });
+    return { ok: true, key };
+  });
+
+  // Issue actions need a configured repo; `fetch` also needs it enabled and loads the issue from GitHub
+  const issueTarget = ({ fetch }) => async (request, reply) => {
+    const { owner, name, number } = request.params;
+    const repoName = repoNames().find(repo => repo.toLowerCase() === `${owner}/${name}`.toLowerCase());
+    if (!repoName) {
+      return reply.code(404).send({ error: 'Repo not configured' });
+    }
+    if (!/^\d+$/.test(number)) {
+      return reply.code(400).send({ error: 'Issue number must be a positive integer' });
+    }
+    const repoConf = getRepoConfig(repoName);
+    request.target = { repoName, issueNumber: Number(number), repoConf };
+    if (!fetch) return;
+
+    if (!repoConf.enabled) {
+      return reply.code(409).send({ error: 'Repo not enabled' });
+    }
+    try {
+      request.target.issue = await ctx.deps.github.getIssue(repoName, request.target.issueNumber);
+    } catch (err) {
+      return reply.code(502).send({ error: `Could not fetch the issue: ${err.message}` });
+    }
+  };
+  const auditAdmin = ({ repoName, issueNumber }, command, fields) =>
+    ctx.audit.record('command', { repo: repoName, number: issueNumber, source: 'admin', command, ...fields });
+
+  // Re-run triage, as /triage does
+  app.post('/admin/issues/:owner/:name/:number/triage', {
+    onRequest: requireAdmin, preHandler: issueTarget({ fetch: true }),
+  }, async (request) => {
+    const result = retriage(request.target, ctx);
+    auditAdmin(request.target, 'triage', { outcome: result.message });
+    return result;
+  });
+
+  // Spawn Ralph, as /ralph does; body `{ instructions, retry, force }` like /ralph <instructions>, retry and force
+  app.post('/admin/issues/:owner/:name/:number/spawn', {
+    onRequest: requireAdmin, preHandler: issueTarget({ fetch: true }),
+  }, async (request, reply) => {
+    const { instructions = '', retry = false, force = false } = request.body || {};
+    if (typeof instructions !== 'string' || typeof retry !== 'boolean' || typeof force !== 'boolean') {
+      return reply.code(400).send({ error: 'Expected { instructions?: string, retry?: boolean, force?: boolean }' });
+    }
+    if (request.target.issue.state === 'closed') {
+      return reply.code(409).send({ error: 'Issue is closed' });
+    }
+    const result = requestSpawn(request.target, ctx, { instructions, retry, force });
+    auditAdmin(request.target, 'spawn', { outcome: result.message, retry: retry || undefined, force: force || undefined });
+    return result;
+  });
+
+  // Cancel Ralph or a queued spawn, as /ralph cancel does
+  app.post('/admin/issues/:owner/:name/:number/cancel', {
+    onRequest: requireAdmin, preHandler: issueTarget({ fetch: false }),
+  }, async (request) => {
+    const result = cancelSpawn(request.target, ctx, 'Cancelled through the admin API');
+    auditAdmin(request.target, 'cancel', { outcome: result.message });
+    return result;
+  });
+
+  // Configured repos, with whether they're enabled and whether that was set at runtime
+  app.get('/admin/repos', { onRequest: requireAdmin }, async () => {
+    const overrides = repoOverrides();
+    return {
+      repos: repoNames().map(repo => ({
+        repo, enabled: getRepoConfig(repo).enabled, overridden: repo.toLowerCase() in overrides,
+      })),
+    };
+  });
+
+  // Enable or disable a repo until set back, across config reloads and restarts
+  for (const [action, enabled] of [['enable', true], ['disable', false]]) {
+    app.post(`/admin/repos/:owner/:name/${action}`, { onRequest: requireAdmin }, async (request, reply) => {
+      const key = `${request.params.owner}/${request.params.name}`.toLowerCase();
+      const repo = repoNames().find(name => name.toLowerCase() === key);
+      if (!repo) {
+        return reply.code(404).send({ error: 'Repo not configured' });
+      }
+      const overridden = setRepoEnabled(repo, enabled);
+      if (overridden) store.set('repoOverrides', key, enabled);
+      else store.delete('repoOverrides', key);
+      log('info', `Repo ${action}d`, { repo, overridden });
+      ctx.audit.record('command', { repo, source: 'admin', command: `${action}-repo` });
+      return { ok: true, repo, enabled, overridden };
+    });
+  }
+
+  // Audit trail of one issue, oldest first (admin token). The repo is
+  // `owner/name` as two segments, or one URL-encoded segment.
+  const issueHistory = async (repo, number, reply) => {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(repo) || !/^\d+$/.test(number)) {
+      return reply.code(400).send({ error: 'Expected /issues/<owner>/<name>/<number>/history' });
+    }
+    return { repo, number: Number(number), events: await ctx.audit.history(repo, Number(number)) };
+  };
+  app.get('/issues/:owner/:name/:number/history', { onRequest: requireAdmin }, async (request, reply) => {
+    const { owner, name, number } = request.params;
+    return issueHistory(`${owner}/${name}`, number, reply);
+  });
+  app.get('/issues/:repo/:number/history', { onRequest: requireAdmin }, async (request, reply) => {
+    return issueHistory(request.params.repo, request.params.number, reply);
+  });
+
+  // Audit records after `since` (ISO timestamp), oldest first, at most `limit` (admin token)
+  app.get('/events', { onRequest: requireAdmin }, async (request, reply) => {
+    const { since, limit } = request.query;
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return reply.code(400).send({ error: 'since must be an ISO timestamp' });
+    }
+    if (limit !== undefined && !/^\d+$/.test(limit)) {
+      return reply.code(400).send({ error: 'limit must be a positive integer' });
+    }
+    return ctx.audit.since(since && new Date(since).toISOString(), limit && Number(limit));
+  });
+
+  // Progress and completion reports from ralph-spawn.sh (`Authorization: Bearer $RALPH_CALLBACK_TOKEN`)
+  app.post('/runs/:session/callback', async (request, reply) => {
+    if (!verifyBearerToken(request.headers.authorization, env.ralphCallbackToken)) {
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+
+    const { session } = request.params;
+    const { state, message, prUrl } = request.body || {};
+    const details = {
+      message: typeof message === 'string' ? message.slice(0, 2000) : undefined,
+      prUrl: typeof prUrl === 'string' && prUrl.startsWith('https://') ? prUrl : undefined,
+    };
+
+    let run;
+    try {
+      run = ctx.runs.transition(session, state, details);
+    } catch (err) {
+      log('error', 'Rejected run callback', { session, state, error: err.message });
+      return reply.code(err.code === 'INVALID_TRANSITION' ? 409 : 400).send({ error: err.message });
+    }
+    if (!run) {
+      return reply.code(404).send({ error: 'Run not found' });
+    }
+
+    log('info', 'Run callback', { session, state, prUrl: run.prUrl });
+    return { ok: true, run };
   });
 
-  // Webhook endpoint
-  app.post('/webhook', async (request, reply) => {
+  // Webhook endpoint. Latency is recorded once the response is sent; event and
+  // repo labels are only trusted once the signature checks out.
+  const timeWebhook = async (request, reply) => {
+    const labels = request.verified
+      ? { event: request.headers['x-github-event'], repo: request.body?.repository?.full_name }
+      : {};
+    webhookDuration.observe({ ...labels, outcome: webhookOutcome(reply.statusCode) }, reply.elapsedTime / 1000);
+  };
+
+  app.post('/webhook', { onResponse: timeWebhook }, async (request, reply) => {
     const signature = request.headers['x-hub-signature-256'];
     const event = request.headers['x-github-event'];
     const deliveryId = request.headers['x-github-delivery'];
@@ -92,48 +495,143 @@ export function buildServer() {
     try {
       if (!verifyWebhookSignature(request.rawBody, signature)) {
         log('error', 'Webhook signature verification failed', { deliveryId });
+        signatureFailures.inc({ source: 'github' });
         return reply.code(401).send({ error: 'Invalid signature' });
       }
     } catch (err) {
       log('error', 'Signature verification error', { error: err.message });
       return reply.code(500).send({ error: 'Signature verification failed' });
     }
+    request.verified = true;
 
-    // Handle GitHub ping event
-    if (event === 'ping') {
-      log('info', 'Received ping event', { deliveryId });
-      return { ok: true, message: 'pong' };
+    // Short-circuit deliveries we've already handled (GitHub's "Redeliver" reuses the ID)
+    if (deliveryId && store.get('deliveries', deliveryId)) {
+      log('info', 'Duplicate delivery, skipping', { deliveryId, event });
+      ctx.bump('duplicateDeliveries', { repo: request.body?.repository?.full_name });
+      dedupHits.inc({ repo: request.body?.repository?.full_name, kind: 'delivery' });
+      return { ok: true, duplicate: true, message: 'Duplicate delivery' };
     }
 
-    // Handle new issues
-    if (event === 'issues') {
-      return handleNewIssue(request, reply, deliveryId);
+    // Reject validly signed payloads captured and replayed long after the event
+    if (isStalePayload(request.body, env.webhookMaxAgeSeconds)) {
+      log('error', 'Stale webhook payload rejected', { deliveryId, event });
+      ctx.bump('staleDeliveries', { repo: request.body?.repository?.full_name });
+      return reply.code(400).send({ error: 'Stale delivery' });
     }
 
-    // Handle /ralph comments
-    if (event === 'issue_comment') {
-      return handleIssueComment(request, reply, deliveryId);
+    // As a GitHub App, every event names the installation it came from
+    const installationId = request.body?.installation?.id;
+    const fullName = request.body?.repository?.full_name;
+    if (installationId && fullName) {
+      const expected = getRepoConfig(fullName).installationId;
+      if (expected && expected !== installationId) {
+        log('error', 'Webhook from an unexpected installation', { deliveryId, repo: fullName, installationId, expected });
+        return reply.code(403).send({ error: 'Unexpected installation' });
+      }
+      rememberInstallation(fullName, installationId);
     }
 
-    log('info', 'Ignoring event', { event, deliveryId });
-    return { ok: true, message: `Ignoring event: ${event}` };
+    const response = routeEvent(event, request, reply, deliveryId, ctx);
+    ctx.audit.record('event', {
+      repo: fullName,
+      number: request.body?.issue?.number,
+      pr: request.body?.pull_request?.number,
+      event,
+      action: request.body?.action,
+      deliveryId,
+      sender: request.body?.sender?.login,
+      status: reply.statusCode,
+      result: response?.message,
+    });
+
+    // Handlers are synchronous, so recording here cannot race a concurrent duplicate.
+    // Deliveries that failed server-side stay unrecorded so they can be redelivered.
+    if (deliveryId && reply.statusCode < 500) {
+      store.set('deliveries', deliveryId, Date.now());
+      store.append('deliveries', {
+        id: deliveryId,
+        event,
+        action: request.body?.action,
+        repo: request.body?.repository?.full_name,
+        status: reply.statusCode,
+        receivedAt: new Date().toISOString(),
+      });
+    }
+
+    return response;
+  });
+
+  // Inline button presses on Telegram notifications (`X-Telegram-Bot-Api-Secret-Token: $TELEGRAM_WEBHOOK_SECRET`)
+  app.post('/telegram', async (request, reply) => {
+    if (!verifySecretToken(request.headers['x-telegram-bot-api-secret-token'], env.telegramWebhookSecret)) {
+      log('error', 'Telegram update rejected: bad secret token');
+      signatureFailures.inc({ source: 'telegram' });
+      return reply.code(401).send({ error: 'Unauthorized' });
+    }
+    return handleTelegramUpdate(request.body, ctx);
   });
 
   return app;
 }
 
 /**
- * Handle issues.opened — notify via Telegram.
+ * Whether a /metrics request wants the Prometheus text format: Prometheus
+ * asks for text/plain or OpenMetrics, browsers and curl get JSON.
  */
-function handleNewIssue(request, reply, deliveryId) {
-  const { action, issue, repository } = request.body;
+function wantsPrometheus(request) {
+  if (request.query?.format) return request.query.format === 'prometheus';
+  return /text\/plain|application\/openmetrics-text/.test(request.headers.accept || '');
+}
+
+/**
+ * Outcome label for a webhook response.
+ * @param {number} status
+ * @returns {'ok'|'unauthorized'|'rejected'|'error'}
+ */
+function webhookOutcome(status) {
+  if (status < 400) return 'ok';
+  if (status === 401) return 'unauthorized';
+  return status < 500 ? 'rejected' : 'error';
+}
 
-  if (action !== 'opened') {
-    log('info', 'Ignoring non-opened action', { action, deliveryId });
-    return { ok: true, message: `Ignoring action: ${action}` };
+/**
+ * Dispatch a verified webhook to its event handler.
+ */
+function routeEvent(event, request, reply, deliveryId, ctx) {
+  // Handle GitHub ping event
+  if (event === 'ping') {
+    log('info', 'Received ping event', { deliveryId });
+    return { ok: true, message: 'pong' };
   }
 
-  const repoName = repository?.name;
+  // Handle new issues, and edits/reopens/labels/closes of existing ones
+  if (event === 'issues') {
+    return request.body.action === 'opened'
+      ? handleNewIssue(request, reply, deliveryId, ctx)
+      : handleIssueChange(request, reply, deliveryId, ctx);
+  }
+
+  // Handle /ralph comments
+  if (event === 'issue_comment') {
+    return handleIssueComment(request, reply, deliveryId, ctx);
+  }
+
+  // Link PRs back to Ralph runs
+  if (event === 'pull_request') {
+    return handlePullRequest(request, reply, deliveryId, ctx);
+  }
+
+  log('info', 'Ignoring event', { event, deliveryId });
+  return { ok: true, message: `Ignoring event: ${event}` };
+}
+
+/**
+ * Handle issues.opened — run the triage pipeline in the background.
+ */
+function handleNewIssue(request, reply, deliveryId, ctx) {
+  const { issue, repository } = request.body;
+
+  const repoName = repository?.full_name;
   const issueNumber = issue?.number;
 
   if (!repoName || !issueNumber) {
@@ -141,53 +639,162 @@ function handleNewIssue(request, reply, deliveryId) {
     return reply.code(400).send({ error: 'Malformed payload' });
   }
 
-  metrics.issuesReceived++;
+  ctx.bump('issuesReceived', { repo: repoName });
 
   const repoConf = getRepoConfig(repoName);
   if (!repoConf.enabled) {
     log('info', 'Repo not enabled, skipping', { repo: repoName });
-    metrics.issuesSkipped++;
+    ctx.bump('issuesSkipped', { repo: repoName });
     return { ok: true, message: 'Repo not enabled' };
   }
 
   const dedupKey = `issue:${repoName}#${issueNumber}`;
-  if (isDuplicate(dedupKey)) {
+  if (ctx.isDuplicate(dedupKey)) {
     log('info', 'Issue already processed, skipping', { repo: repoName, issue: issueNumber });
-    metrics.issuesSkipped++;
+    ctx.bump('issuesSkipped', { repo: repoName });
     return { ok: true, message: 'Already processed' };
   }
 
-  markProcessed(dedupKey);
+  ctx.markProcessed(dedupKey);
   log('info', 'New issue received', { repo: repoName, issue: issueNumber, title: issue.title });
 
-  // Notify asynchronously
-  notifyNewIssue(repoName, issueNumber, issue).then(() => {
-    metrics.issuesNotified++;
-    log('info', 'Notification sent', { repo: repoName, issue: issueNumber });
-  }).catch(err => {
-    log('error', 'Notification failed', { repo: repoName, issue: issueNumber, error: err.message });
-    metrics.errors++;
-  });
+  ctx.track(runPipeline({ repo: repoName, number: issueNumber, issue, repoConf, deliveryId }, ctx.deps)
+    .then(result => recordPipelineResult(result, ctx)));
 
   return { ok: true, message: 'Notified' };
 }
 
 /**
- * Handle issue_comment.created — spawn Ralph if comment starts with /ralph.
+ * Handle issues.edited/reopened/labeled/closed according to the repo's
+ * `issueEvents` config: re-triage, spawn Ralph, or cancel pending work.
+ */
+function handleIssueChange(request, reply, deliveryId, ctx) {
+  const { action, issue, repository, sender } = request.body;
+
+  const repoName = repository?.full_name;
+  const issueNumber = issue?.number;
+
+  if (!repoName || !issueNumber) {
+    log('error', 'Missing repo name or issue number', { deliveryId });
+    return reply.code(400).send({ error: 'Malformed payload' });
+  }
+
+  const repoConf = getRepoConfig(repoName);
+  const decision = issueChangeAction(request.body, repoConf.issueEvents);
+  if (decision.kind === 'ignore') {
+    log('info', 'Ignoring issue change', { action, repo: repoName, issue: issueNumber, reason: decision.reason, deliveryId });
+    return { ok: true, message: decision.reason };
+  }
+
+  if (!repoConf.enabled) {
+    log('info', 'Repo not enabled, skipping', { repo: repoName });
+    return { ok: true, message: 'Repo not enabled' };
+  }
+
+  log('info', `Issue ${action}`, {
+    repo: repoName, issue: issueNumber, action: decision.kind, reason: decision.reason, user: sender?.login,
+  });
+  ctx.audit.record('issue-change', {
+    repo: repoName, number: issueNumber, action, decision: decision.kind, reason: decision.reason, user: sender?.login,
+  });
+  const target = { repoName, issueNumber, issue, repoConf, deliveryId };
+
+  switch (decision.kind) {
+    case 'triage': {
+      // Edits and reopens come from the issue author, so each one costing an
+      // analysis and a notification is limited per issue; labels aren't
+      if (action === 'edited' || action === 'reopened') {
+        const { retriageCooldownMinutes } = repoConf.issueEvents;
+        const cooldownKey = `retriage:${repoName}#${issueNumber}`;
+        if (retriageCooldownMinutes && ctx.isDuplicate(cooldownKey, retriageCooldownMinutes * 60 * 1000)) {
+          log('info', 'Re-triaged recently, skipping', { repo: repoName, issue: issueNumber, action });
+          return { ok: true, message: 'Re-triaged recently' };
+        }
+        ctx.markProcessed(cooldownKey);
+      }
+      ctx.bump('issuesRetriaged', { repo: repoName });
+      return retriage(target, ctx);
+    }
+    case 'spawn':
+      return requestSpawn(target, ctx, { instructions: '' });
+    default:
+      return cancelOnClose(target, ctx);
+  }
+}
+
+/**
+ * Log a pipeline result and fold it into the metrics counters.
+ * @param {import('./pipeline.js').PipelineResult} result
+ * @param {object} ctx
  */
-function handleIssueComment(request, reply, deliveryId) {
+function recordPipelineResult(result, ctx) {
+  const { repo, number, analysis, decision, steps } = result;
+  const status = Object.fromEntries(steps.map(s => [s.step, s.status]));
+
+  if (analysis?.degraded) {
+    ctx.bump('analysisFailures', { repo });
+    log('error', 'Analysis failed, notifying without triage', { repo, issue: number, reason: analysis.reasoning });
+  } else if (analysis) {
+    ctx.bump('issuesAnalyzed', { repo });
+  }
+
+  if (decision) {
+    log('info', 'Triage result', {
+      repo, issue: number, action: decision.action, reason: decision.reason, confidence: analysis.confidence,
+    });
+    if (decision.action === 'offer-fix') ctx.bump('fixesOffered', { repo });
+    if (decision.action === 'clarify') ctx.bump('clarificationsRequested', { repo });
+    if (decision.injection) {
+      log('warn', 'Auto-spawn blocked: possible prompt injection', { repo, issue: number, reason: decision.reason });
+      ctx.bump('spawnsBlocked', { repo });
+    }
+  }
+
+  // ralphSpawned is counted when the scheduler actually starts the spawn
+  if (status.spawn === 'ok') ctx.bump('autoSpawned', { repo });
+  if (steps.some(s => s.step === 'clarify' && s.posted)) ctx.bump('clarificationsPosted', { repo });
+  if (status.notify === 'ok') ctx.bump('issuesNotified', { repo });
+
+  for (const step of steps) pipelineSteps.inc({ repo, step: step.step, outcome: step.status });
+
+  ctx.audit.record('triage', {
+    repo,
+    number,
+    issueType: analysis?.type,
+    severity: analysis?.severity,
+    confidence: analysis?.confidence,
+    degraded: analysis?.degraded || undefined,
+    reasoning: analysis?.reasoning,
+    action: decision?.action,
+    reason: decision?.reason,
+    injection: decision?.injection?.map(f => f.rule),
+    steps: steps.map(s => ({ step: s.step, status: s.status, ...(s.error && { error: s.error }) })),
+  });
+
+  for (const step of steps.filter(s => s.status === 'failed')) {
+    log('error', `Pipeline step failed: ${step.step}`, {
+      repo, issue: number, error: step.error, retry: step.retry, jobId: step.jobId,
+    });
+    ctx.bump('errors', { repo });
+  }
+}
+
+/**
+ * Handle issue_comment.created — run /ralph and /triage commands.
+ */
+function handleIssueComment(request, reply, deliveryId, ctx) {
   const { action, comment, issue, repository } = request.body;
 
   if (action !== 'created') {
     return { ok: true, message: `Ignoring comment action: ${action}` };
   }
 
-  const body = (comment?.body || '').trim();
-  if (!body.startsWith('/ralph')) {
+  const command = parseCommand(comment?.body);
+  if (!command) {
     return { ok: true, message: 'Not a /ralph command' };
   }
 
-  const repoName = repository?.name;
+  const repoName = repository?.full_name;
   const issueNumber = issue?.number;
 
   if (!repoName || !issueNumber) {
@@ -197,38 +804,588 @@ function handleIssueComment(request, reply, deliveryId) {
 
   const repoConf = getRepoConfig(repoName);
   if (!repoConf.enabled) {
-    log('info', 'Repo not enabled, skipping /ralph', { repo: repoName });
+    log('info', `Repo not enabled, skipping /${command.name}`, { repo: repoName });
     return { ok: true, message: 'Repo not enabled' };
   }
 
+  const target = { repoName, issueNumber, issue, repoConf, deliveryId };
+  const user = comment.user?.login;
+
+  const auth = isCommandAuthorized(comment, repoConf.commandAuth);
+  ctx.audit.record('command', {
+    repo: repoName,
+    number: issueNumber,
+    source: 'comment',
+    command: [`/${command.name}`, command.sub, command.args].filter(Boolean).join(' '),
+    user,
+    association: comment.author_association,
+    allowed: auth.allowed,
+    reason: auth.reason,
+  });
+  if (!auth.allowed) {
+    log('info', `/${command.name} command rejected`, {
+      repo: repoName, issue: issueNumber, user, association: comment.author_association, reason: auth.reason,
+    });
+    ctx.bump('commandsRejected', { repo: repoName });
+    if (repoConf.commandAuth.replyOnReject) {
+      replyOnIssue(target, formatRejectedComment(command, user, auth.reason), ctx);
+    }
+    return { ok: true, message: 'Not authorized' };
+  }
+
+  log('info', `/${command.name} command received`, {
+    repo: repoName, issue: issueNumber, sub: command.sub, user,
+  });
+
+  if (command.name === 'triage') return retriage(target, ctx);
+
+  switch (command.sub) {
+    case 'run': return requestSpawn(target, ctx, { instructions: command.args });
+    case 'retry': return requestSpawn(target, ctx, { instructions: command.args, retry: true });
+    case 'force': return requestSpawn(target, ctx, { instructions: command.args, force: true });
+    case 'cancel': return cancelSpawn(target, ctx);
+    case 'status': {
+      const spawnedAt = ctx.store.get('processed', `ralph:${repoName}#${issueNumber}`);
+      const run = ctx.runs.get(sessionId(repoName, issueNumber));
+      replyOnIssue(target, formatStatusComment(spawnedAt, run), ctx);
+      return { ok: true, message: 'Status posted' };
+    }
+    default:
+      replyOnIssue(target, formatHelpComment(command), ctx);
+      return { ok: true, message: 'Unknown command' };
+  }
+}
+
+/**
+ * Spawn Ralph for /ralph, /ralph retry, /ralph force and spawn labels. Retry
+ * bypasses the ralph: dedup key; only force spawns for an issue that looks
+ * like prompt injection.
+ */
+function requestSpawn(target, ctx, { instructions, retry = false, force = false }) {
+  const { repoName, issueNumber, issue } = target;
   const dedupKey = `ralph:${repoName}#${issueNumber}`;
-  if (isDuplicate(dedupKey)) {
+  if (!retry && ctx.isDuplicate(dedupKey)) {
     log('info', 'Ralph already spawned for this issue', { repo: repoName, issue: issueNumber });
+    ctx.audit.record('spawn', { repo: repoName, number: issueNumber, outcome: 'skipped', reason: 'Already spawned' });
     return { ok: true, message: 'Already spawned' };
   }
 
-  markProcessed(dedupKey);
-  log('info', '/ralph command received', { repo: repoName, issue: issueNumber });
+  const findings = detectIssueInjection(issue);
+  if (findings.length && !force) {
+    log('warn', 'Spawn blocked: possible prompt injection', {
+      repo: repoName, issue: issueNumber, findings: describeFindings(findings),
+    });
+    ctx.bump('spawnsBlocked', { repo: repoName });
+    ctx.audit.record('spawn', {
+      repo: repoName, number: issueNumber, outcome: 'blocked', reason: 'Possible prompt injection',
+      injection: findings.map(f => f.rule),
+    });
+    replyOnIssue(target, formatBlockedComment(findings), ctx);
+    return { ok: true, message: 'Blocked: possible prompt injection' };
+  }
+  if (findings.length) {
+    log('warn', 'Spawn forced despite possible prompt injection', {
+      repo: repoName, issue: issueNumber, findings: describeFindings(findings),
+    });
+  }
 
-  // Spawn and notify asynchronously
-  spawnRalph(repoName, issueNumber, issue).then(() => {
-    metrics.ralphSpawned++;
-    log('info', 'Ralph spawned', { repo: repoName, issue: issueNumber });
-    return notifyRalphSpawned(repoName, issueNumber, issue.title);
-  }).catch(err => {
-    log('error', 'Ralph spawn failed', { repo: repoName, issue: issueNumber, error: err.message });
-    metrics.errors++;
+  ctx.markProcessed(dedupKey);
+
+  const extras = { instructions, ...(force && { force }) };
+  const placement = ctx.scheduler.submit({ repo: repoName, number: issueNumber, issue, extras, trigger: 'command' });
+  if (!placement.started) {
+    ctx.audit.record('spawn', {
+      repo: repoName, number: issueNumber, outcome: 'queued', position: placement.position, force: force || undefined,
+    });
+    return { ok: true, message: `Queued at position ${placement.position}` };
+  }
+  return { ok: true, message: retry ? 'Retrying Ralph' : 'Spawning Ralph' };
+}
+
+/** Whether ralph-spawn.sh reports completion, so a spawn slot can be held until it does */
+const callbacksEnabled = () => Boolean(env.ralphCallbackUrl && env.ralphCallbackToken);
+
+/**
+ * Run a spawn the scheduler gave a slot to, in the background. Without
+ * callbacks there's no way to know when Ralph finishes, so the slot only
+ * covers the spawn itself. A failed spawn frees its slot and goes to the
+ * retry queue.
+ * @param {import('./scheduler.js').SpawnJob} job
+ * @param {object} ctx
+ */
+function startSpawn(job, ctx) {
+  const session = sessionId(job.repo, job.number);
+  ctx.track(spawnAndNotify(job, ctx).then(() => {
+    if (!callbacksEnabled()) ctx.scheduler.release(session);
+  }, err => {
+    ctx.scheduler.release(session);
+    log('error', 'Ralph spawn failed', { repo: job.repo, issue: job.number, error: err.message });
+    ctx.bump('errors', { repo: job.repo });
+    ctx.queue.retry('spawn', job, err);
+  }));
+}
+
+/**
+ * Retry a failed spawn if a slot is free; otherwise put it back in the
+ * scheduler's queue, which starts it once a slot frees up.
+ * @param {import('./scheduler.js').SpawnJob} job
+ * @param {object} ctx
+ */
+async function retrySpawn(job, ctx) {
+  const session = sessionId(job.repo, job.number);
+  if (!ctx.scheduler.acquire(job)) {
+    const position = ctx.scheduler.enqueue(job);
+    log('info', 'Spawn retry queued behind running spawns', { session, position });
+    return;
+  }
+
+  try {
+    await spawnAndNotify(job, ctx);
+  } catch (err) {
+    ctx.scheduler.release(session);
+    throw err;
+  }
+  if (!callbacksEnabled()) ctx.scheduler.release(session);
+}
+
+const PR_METRICS = { open: 'prsOpened', merged: 'prsMerged', closed: 'prsClosed' };
+
+/**
+ * Handle pull_request opened/reopened/closed — link the PR to the Ralph run
+ * of every issue it references and notify.
+ */
+function handlePullRequest(request, reply, deliveryId, ctx) {
+  const { action, pull_request: pr, repository } = request.body;
+
+  if (!PULL_REQUEST_ACTIONS.includes(action)) {
+    return { ok: true, message: `Ignoring pull_request action: ${action}` };
+  }
+
+  const repoName = repository?.full_name;
+  if (!repoName || !pr?.number) {
+    log('error', 'Missing repo name or PR number', { deliveryId });
+    return reply.code(400).send({ error: 'Malformed payload' });
+  }
+
+  if (!getRepoConfig(repoName).enabled) {
+    return { ok: true, message: 'Repo not enabled' };
+  }
+
+  const link = { number: pr.number, url: pr.html_url, title: pr.title, state: pullRequestState(action, pr) };
+  const issues = parseClosingReferences(`${pr.title}\n${pr.body || ''}`, repoName);
+  const runs = issues
+    .map(number => ctx.runs.linkPullRequest(sessionId(repoName, number), link))
+    .filter(Boolean);
+
+  if (!runs.length) {
+    log('info', 'PR does not reference a Ralph run', { repo: repoName, pr: pr.number, issues });
+    return { ok: true, message: 'No linked runs' };
+  }
+
+  for (const run of runs) {
+    log('info', 'PR linked to run', { repo: repoName, pr: pr.number, session: run.session, prState: link.state });
+    ctx.audit.record('pull-request', {
+      repo: repoName, number: run.number, session: run.session, pr: pr.number, url: pr.html_url, state: link.state,
+    });
+    ctx.bump(PR_METRICS[link.state], { repo: repoName });
+    if (link.state === 'merged' && run.trigger === 'auto') ctx.bump('autoSpawnsMerged', { repo: repoName });
+    ctx.track((async () => {
+      try {
+        await ctx.deps.notifier.notifyPullRequest(run, link);
+      } catch (err) {
+        log('error', 'PR notification failed', { session: run.session, error: err.message });
+        ctx.bump('errors', { repo: repoName });
+        ctx.queue.retry('notify-pr', { run, pr: link, channels: failedChannels(err) }, err);
+      }
+    })());
+  }
+
+  return { ok: true, message: `Linked to ${runs.length} run(s)`, sessions: runs.map(run => run.session) };
+}
+
+/**
+ * Handle a Telegram update: run the action behind a pressed inline button in
+ * the background, then edit the message to show the outcome and who pressed
+ * it. Other updates are ignored.
+ */
+function handleTelegramUpdate(update, ctx) {
+  const query = update?.callback_query;
+  if (!query?.message) {
+    return { ok: true, message: 'Ignoring update' };
+  }
+
+  const chatId = query.message.chat?.id;
+  const user = query.from?.username ? `@${query.from.username}` : query.from?.first_name || 'unknown';
+  const target = parseCallbackData(query.data, repoNames());
+  const answer = text => ctx.track(ctx.deps.telegram.answerCallback(query.id, text).catch(err => {
+    log('error', 'Failed to answer Telegram callback', { error: err.message });
+  }));
+
+  if (!target) {
+    log('info', 'Unknown Telegram callback', { data: query.data, user });
+    answer('This button no longer works');
+    return { ok: true, message: 'Unknown action' };
+  }
+
+  const { action, repo, number } = target;
+  const repoConf = getRepoConfig(repo);
+  const audit = fields => ctx.audit.record('command', { repo, number, source: 'telegram', command: action, user, ...fields });
+  if (!isAllowedChat(chatId, repoConf.channels)) {
+    log('error', 'Telegram action from an unexpected chat', { action, repo, issue: number, chatId, user });
+    audit({ allowed: false, reason: `Chat ${chatId} not allowed` });
+    answer('Not allowed from this chat');
+    return { ok: true, message: 'Chat not allowed' };
+  }
+  if (!repoConf.enabled) {
+    answer('Repo not enabled');
+    return { ok: true, message: 'Repo not enabled' };
+  }
+  // Buttons act on the issue like /ralph, so they need the same per-repo authorization
+  const auth = authorizeTelegramUser(query.from, repoConf.commandAuth);
+  if (!auth.allowed) {
+    log('info', 'Telegram action rejected', { action, repo, issue: number, user, login: auth.login, reason: auth.reason });
+    ctx.bump('commandsRejected', { repo });
+    audit({ login: auth.login, allowed: false, reason: auth.reason });
+    answer(`Not allowed: ${auth.reason}`.slice(0, 200));
+    return { ok: true, message: 'Not authorized' };
+  }
+
+  log('info', 'Telegram action', { action, repo, issue: number, user, login: auth.login });
+  ctx.track((async () => {
+    let outcome;
+    try {
+      outcome = await runTelegramAction(target, query, ctx);
+      audit({ login: auth.login, allowed: true, outcome });
+    } catch (err) {
+      // Leave the buttons in place so it can be tried again
+      log('error', 'Telegram action failed', { action, repo, issue: number, error: err.message });
+      ctx.bump('errors', { repo });
+      audit({ login: auth.login, allowed: true, error: err.message });
+      answer(`Failed: ${err.message}`.slice(0, 200));
+      return;
+    }
+
+    try {
+      await ctx.deps.telegram.editMessage(chatId, query.message.message_id,
+        formatOutcome(query.message.text || '', action, outcome, user));
+    } catch (err) {
+      log('error', 'Failed to edit Telegram message', { repo, issue: number, error: err.message });
+    }
+    answer(outcome);
+  })());
+
+  return { ok: true, message: `Running ${action}` };
+}
+
+/**
+ * Perform a Telegram button's action.
+ * @param {import('./telegram.js').CallbackTarget} target
+ * @param {object} query - Telegram callback query
+ * @param {object} ctx
+ * @returns {Promise<string>} Outcome, shown on the message
+ */
+async function runTelegramAction({ action, repo, number }, query, ctx) {
+  const repoConf = getRepoConfig(repo);
+  switch (action) {
+    case 'spawn': {
+      const issue = await ctx.deps.github.getIssue(repo, number);
+      if (issue.state === 'closed') return 'Not spawned, the issue is closed';
+      const target = { repoName: repo, issueNumber: number, issue, repoConf };
+      return requestSpawn(target, ctx, { instructions: '' }).message;
+    }
+    case 'clarify': {
+      if (!ctx.deps.clarifier) return 'Not asked, no clarifier configured';
+      const issue = await ctx.deps.github.getIssue(repo, number);
+      const analysis = await ctx.deps.analyzer.analyzeIssue(repo, number, issue, { repoConf });
+      const questions = analysis.needsClarification?.length ? analysis.needsClarification : GENERIC_QUESTIONS;
+      const { posted } = await ctx.deps.clarifier.postClarification(repo, number, questions);
+      if (posted) ctx.bump('clarificationsPosted', { repo });
+      return posted ? 'Asked for clarification' : 'Already asked for clarification';
+    }
+    case 'snooze': {
+      const hours = env.telegramSnoozeHours;
+      const { chat, text, reply_markup: keyboard } = query.message;
+      ctx.queue.schedule('telegram-snooze', { chatId: chat.id, text, keyboard }, hours * 60 * 60 * 1000);
+      return `Snoozed for ${hours}h`;
+    }
+    default:
+      return 'Dismissed';
+  }
+}
+
+/**
+ * Spawn Ralph, then notify. Throws only if the spawn fails; a failed
+ * notification is queued for retry on its own so it can't re-trigger the spawn.
+ * @param {{ repo: string, number: number, issue: object, extras?: object, trigger?: 'auto'|'command' }} job
+ * @param {object} ctx
+ */
+async function spawnAndNotify({ repo, number, issue, extras, trigger = 'command' }, ctx) {
+  const run = ctx.runs.start(repo, number, { title: issue.title, url: issue.html_url, trigger });
+  const done = spawnDuration.startTimer({ repo, trigger });
+  try {
+    await ctx.deps.spawner.spawnRalph(repo, number, issue, extras);
+  } catch (err) {
+    done({ outcome: 'failed' });
+    if (err.findings) {
+      blockSpawn(run, trigger, err.findings, ctx);
+      return;
+    }
+    ctx.audit.record('spawn', { repo, number, session: run.session, trigger, outcome: 'failed', error: err.message });
+    throw err;
+  }
+  done({ outcome: 'ok' });
+  ctx.audit.record('spawn', {
+    repo, number, session: run.session, trigger, outcome: 'started', instructions: extras?.instructions || undefined,
   });
+  ctx.runs.transition(run.session, 'running');
+  ctx.bump('ralphSpawned', { repo });
+  log('info', 'Ralph spawned', { repo, issue: number, session: run.session });
 
-  return { ok: true, message: 'Spawning Ralph' };
+  try {
+    await ctx.deps.notifier.notifyRalphSpawned(repo, number, issue.title);
+  } catch (err) {
+    log('error', 'Spawn notification failed', { repo, issue: number, error: err.message });
+    ctx.bump('errors', { repo });
+    ctx.queue.retry('notify-spawned', { repo, number, title: issue.title, channels: failedChannels(err) }, err);
+  }
+}
+
+/**
+ * End a run whose spawn found likely prompt injection in the issue's comments
+ * or linked issues. The dedup key is cleared so `/ralph force` can spawn it.
+ * @param {import('./runs.js').Run} run
+ * @param {string} trigger
+ * @param {import('./sanitize.js').InjectionFinding[]} findings
+ * @param {object} ctx
+ */
+function blockSpawn(run, trigger, findings, ctx) {
+  const { repo, number } = run;
+  log('warn', 'Spawn blocked: possible prompt injection in comments', {
+    repo, issue: number, findings: describeFindings(findings),
+  });
+  ctx.bump('spawnsBlocked', { repo });
+  ctx.audit.record('spawn', {
+    repo, number, session: run.session, trigger, outcome: 'blocked',
+    reason: 'Possible prompt injection in comments', injection: findings.map(f => f.rule),
+  });
+  ctx.store.delete('processed', `ralph:${repo}#${number}`);
+  // The state change posts the comment and notification
+  ctx.runs.transition(run.session, 'cancelled', {
+    message: `Not spawned: the comments or linked issues look like instructions aimed at an AI agent (${describeFindings(findings)}). `
+      + 'Comment `/ralph force` to spawn anyway.',
+  });
+}
+
+/**
+ * Retry queue handlers, keyed by job type. Payloads are plain JSON so jobs
+ * survive restarts.
+ * @param {object} ctx
+ */
+function jobHandlers(ctx) {
+  return {
+    'spawn': job => retrySpawn(job, ctx),
+    'notify-issue': ({ repo, number, issue, analysis, decision, channels }) =>
+      ctx.deps.notifier.notifyNewIssue(repo, number, issue, analysis, decision, { channels }),
+    'notify-spawned': ({ repo, number, title, channels }) =>
+      ctx.deps.notifier.notifyRalphSpawned(repo, number, title, { channels }),
+    'notify-run': ({ run, channels }) => ctx.deps.notifier.notifyRunUpdate(run, { channels }),
+    'notify-pr': ({ run, pr, channels }) => ctx.deps.notifier.notifyPullRequest(run, pr, { channels }),
+    'telegram-snooze': ({ chatId, text, keyboard }) =>
+      ctx.deps.telegram.sendMessage(chatId, formatSnoozed(text), keyboard),
+  };
+}
+
+const RUN_METRICS = { succeeded: 'runsSucceeded', failed: 'runsFailed', cancelled: 'runsCancelled' };
+
+/**
+ * Announce a finished run on the repo's channels and the issue.
+ * @param {import('./runs.js').Run} run
+ * @param {object} ctx
+ */
+function onRunChange(run, ctx) {
+  log('info', 'Run state changed', { session: run.session, state: run.state });
+  ctx.audit.record('run', {
+    repo: run.repo, number: run.number, session: run.session, state: run.state, trigger: run.trigger,
+    message: run.message, prUrl: run.prUrl,
+  });
+  if (!TERMINAL_STATES.includes(run.state)) return;
+
+  ctx.scheduler.remove(run.session);
+  ctx.scheduler.release(run.session);
+
+  ctx.bump(RUN_METRICS[run.state], { repo: run.repo });
+  ctx.track((async () => {
+    try {
+      await ctx.deps.notifier.notifyRunUpdate(run);
+    } catch (err) {
+      log('error', 'Run notification failed', { session: run.session, error: err.message });
+      ctx.bump('errors', { repo: run.repo });
+      ctx.queue.retry('notify-run', { run, channels: failedChannels(err) }, err);
+    }
+  })());
+  replyOnIssue({ repoName: run.repo, issueNumber: run.number }, formatRunComment(run), ctx);
+}
+
+/**
+ * Mark a run failed once its spawn has been given up on.
+ * @param {{ repo: string, number: number }} spawn - Spawn job payload
+ * @param {Error} err
+ * @param {object} ctx
+ */
+function failRun({ repo, number }, err, ctx) {
+  const run = ctx.runs.get(sessionId(repo, number));
+  if (run && !TERMINAL_STATES.includes(run.state)) {
+    ctx.runs.transition(run.session, 'failed', { message: `Spawn failed: ${err.message}` });
+  }
+}
+
+/**
+ * Stop Ralph for /ralph cancel or the admin API, and clear the dedup key so
+ * /ralph works again.
+ * @param {object} target - repoName and issueNumber
+ * @param {object} ctx
+ * @param {string} [reason] - Recorded on the cancelled run
+ */
+function cancelSpawn(target, ctx, reason = 'Cancelled with /ralph cancel') {
+  const { repoName, issueNumber } = target;
+  ctx.store.delete('processed', `ralph:${repoName}#${issueNumber}`);
+
+  // A spawn still waiting for a slot has no session to stop
+  const session = sessionId(repoName, issueNumber);
+  if (ctx.scheduler.remove(session)) {
+    ctx.runs.transition(session, 'cancelled', { message: reason });
+    return { ok: true, message: 'Dropped queued spawn' };
+  }
+
+  ctx.track(ctx.deps.spawner.cancelRalph(repoName, issueNumber).then(() => {
+    log('info', 'Ralph cancelled', { repo: repoName, issue: issueNumber });
+    const run = ctx.runs.get(sessionId(repoName, issueNumber));
+    if (run && !TERMINAL_STATES.includes(run.state)) {
+      // The state change posts the comment and notification
+      ctx.runs.transition(run.session, 'cancelled', { message: reason });
+      return;
+    }
+    return replyOnIssue(target, 'Ralph\'s session for this issue was cancelled.', ctx);
+  }).catch(err => {
+    log('error', 'Ralph cancel failed', { repo: repoName, issue: issueNumber, error: err.message });
+    ctx.bump('errors', { repo: repoName });
+  }));
+
+  return { ok: true, message: 'Cancelling Ralph' };
+}
+
+/**
+ * Cancel everything still pending for a closed issue: queued spawn retries and
+ * an active Ralph run. Runs that already opened a PR are left alone, since the
+ * PR merging is usually what closed the issue.
+ */
+function cancelOnClose({ repoName, issueNumber }, ctx) {
+  const session = sessionId(repoName, issueNumber);
+  const dequeued = ctx.scheduler.remove(session);
+  const discarded = ctx.queue.discard(job =>
+    job.type === 'spawn' && job.payload.repo === repoName && job.payload.number === issueNumber);
+
+  const run = ctx.runs.get(session);
+  if (!run || TERMINAL_STATES.includes(run.state) || run.pr) {
+    return { ok: true, message: dequeued || discarded ? 'Discarded queued spawn' : 'Nothing to cancel' };
+  }
+
+  // Never started, so there is no session to stop
+  if ((dequeued || discarded) && run.state === 'queued') {
+    ctx.runs.transition(session, 'cancelled', { message: 'Issue closed' });
+    return { ok: true, message: 'Discarded queued spawn' };
+  }
+
+  ctx.track(ctx.deps.spawner.cancelRalph(repoName, issueNumber).then(() => {
+    ctx.runs.transition(run.session, 'cancelled', { message: 'Issue closed' });
+  }).catch(err => {
+    log('error', 'Ralph cancel failed', { repo: repoName, issue: issueNumber, error: err.message });
+    ctx.bump('errors', { repo: repoName });
+  }));
+
+  return { ok: true, message: 'Cancelling Ralph' };
+}
+
+/**
+ * Re-run the triage pipeline for /triage and issue changes, bypassing the
+ * issue: dedup key.
+ */
+function retriage({ repoName, issueNumber, issue, repoConf, deliveryId }, ctx) {
+  ctx.markProcessed(`issue:${repoName}#${issueNumber}`);
+  ctx.track(runPipeline({ repo: repoName, number: issueNumber, issue, repoConf, deliveryId }, ctx.deps)
+    .then(result => recordPipelineResult(result, ctx)));
+  return { ok: true, message: 'Re-running triage' };
+}
+
+/**
+ * Post a comment on the issue in the background, logging failures.
+ */
+function replyOnIssue({ repoName, issueNumber }, body, ctx) {
+  return ctx.track(ctx.deps.github.postComment(repoName, issueNumber, body).catch(err => {
+    log('error', 'Failed to post reply comment', { repo: repoName, issue: issueNumber, error: err.message });
+    ctx.bump('errors', { repo: repoName });
+  }));
+}
+
+/**
+ * Switch to the current repo config file. Requests already being handled
+ * finish with the config they started with; a bad file is logged and the
+ * config in use is kept.
+ * @param {string} reason - What triggered the reload, for the log
+ */
+function reloadRepoConfig(reason) {
+  try {
+    const repos = loadRepoConfig();
+    log('info', 'Repo config reloaded', { reason, repos });
+  } catch (err) {
+    log('error', 'Repo config not reloaded, keeping the previous one', { reason, error: err.message });
+  }
 }
 
 /** Start the server */
 async function start() {
+  // A broken repo config or prompt template should stop the deploy, not the first webhook
+  try {
+    loadRepoConfig();
+  } catch (err) {
+    log('error', 'Invalid repo config', { error: err.message });
+    process.exit(1);
+  }
+  try {
+    loadTemplates();
+  } catch (err) {
+    log('error', 'Invalid prompt templates', { error: err.message });
+    process.exit(1);
+  }
+
   const app = buildServer();
 
-  // Prune dedup map every hour
-  setInterval(pruneProcessed, 60 * 60 * 1000);
+  // Repos enabled or disabled through the admin API stay that way across restarts
+  for (const [repo, enabled] of app.store.entries('repoOverrides')) {
+    if (!setRepoEnabled(repo, enabled)) app.store.delete('repoOverrides', repo);
+  }
+
+  // Prune dedup entries every hour
+  setInterval(app.pruneProcessed, 60 * 60 * 1000);
+
+  // Run due retries, and spawns that were waiting for a slot before a restart
+  app.queue.start();
+  app.scheduler.drain();
+
+  // `systemctl reload` sends SIGHUP; saving the file works too
+  process.on('SIGHUP', () => reloadRepoConfig('SIGHUP'));
+  const repoConfigWatcher = watchRepoConfig(() => reloadRepoConfig('file changed'));
+
+  // systemd sends SIGTERM on restart: finish background work and flush state first
+  process.once('SIGTERM', async () => {
+    log('info', 'Shutting down');
+    app.queue.stop();
+    repoConfigWatcher.close();
+    await app.close();
+    await app.idle();
+    await app.store.flush();
+    process.exit(0);
+  });
 
   try {
     await app.listen({ port: env.port, host: '0.0.0.0' });
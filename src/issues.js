@@ -0,0 +1,68 @@
+/** @typedef {Object} IssueChangeAction
+ * @property {'triage'|'spawn'|'cancel'|'ignore'} kind
+ * @property {string} reason
+ */
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Whether an edit changed an issue body enough to be worth re-triaging.
+ * Counts words added plus words removed, so whitespace, punctuation and
+ * typo-sized fixes don't count. Filling in an empty body always counts.
+ * @param {string|null} before
+ * @param {string|null} after
+ * @param {number} minWords - Words added + removed needed to count
+ * @returns {boolean}
+ */
+export function isMaterialEdit(before, after, minWords) {
+  const old = words(before);
+  const updated = words(after);
+  if (old.length === 0) return updated.length > 0;
+
+  const counts = new Map();
+  for (const word of old) counts.set(word, (counts.get(word) || 0) + 1);
+  for (const word of updated) counts.set(word, (counts.get(word) || 0) - 1);
+
+  let changed = 0;
+  for (const count of counts.values()) changed += Math.abs(count);
+  return changed >= minWords;
+}
+
+/**
+ * Decide what to do about an `issues` event other than `opened`.
+ * @param {object} payload - Webhook body (action, issue, label, changes)
+ * @param {import('./repos.js').IssueEvents} config - The repo's `issueEvents`
+ * @returns {IssueChangeAction}
+ */
+export function issueChangeAction({ action, issue, label, changes }, config) {
+  const ignore = reason => ({ kind: 'ignore', reason });
+
+  switch (action) {
+    case 'edited':
+      if (!config.retriageOnEdit) return ignore('Re-triage on edit disabled');
+      if (!changes?.body) return ignore('Body unchanged');
+      return isMaterialEdit(changes.body.from, issue?.body, config.minEditWords)
+        ? { kind: 'triage', reason: 'Body changed' }
+        : ignore('Edit not material');
+
+    case 'reopened':
+      return config.retriageOnReopen ? { kind: 'triage', reason: 'Reopened' } : ignore('Re-triage on reopen disabled');
+
+    case 'labeled': {
+      const name = (label?.name || '').toLowerCase();
+      if (config.spawnLabels.some(l => l.toLowerCase() === name)) {
+        return { kind: 'spawn', reason: `Labeled ${label.name}` };
+      }
+      if (config.triageLabels.some(l => l.toLowerCase() === name)) {
+        return { kind: 'triage', reason: `Labeled ${label.name}` };
+      }
+      return ignore(`Label not configured: ${label?.name}`);
+    }
+
+    case 'closed':
+      return config.cancelOnClose ? { kind: 'cancel', reason: 'Closed' } : ignore('Cancel on close disabled');
+
+    default:
+      return ignore(`Ignoring action: ${action}`);
+  }
+}
@@ -0,0 +1,194 @@
+import { performance } from 'node:perf_hooks';
+
+/** Latency buckets in seconds, from a fast webhook reply up to a slow spawn */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/** @typedef {Record<string, string|number|undefined>} Labels - Undefined and empty labels are left out */
+
+/** @typedef {Object} Counter
+ * @property {(labels?: Labels, by?: number) => void} inc
+ */
+
+/** @typedef {Object} Gauge
+ * @property {(labels: Labels, value: number) => void} set
+ */
+
+/** @typedef {Object} Histogram
+ * @property {(labels: Labels, seconds: number) => void} observe
+ * @property {(labels?: Labels) => (more?: Labels) => number} startTimer - Call the result to observe the elapsed
+ *   time, optionally adding labels only known at the end (e.g. outcome); it returns the seconds observed
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Prometheus label set, e.g. `{repo="atriumn/tariff",outcome="ok"}`.
+ * @param {Labels} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Only the declared labels, in declared order, so the same label set always
+ * lands on the same series.
+ * @param {string[]} labelNames
+ * @param {Labels} labels
+ * @returns {Labels}
+ */
+const pick = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(name => [name, labels[name]]));
+
+/**
+ * In-memory metrics in the Prometheus data model: counters, gauges and
+ * histograms with labels, rendered in the text exposition format. Nothing
+ * is persisted; Prometheus copes with counters resetting on restart.
+ */
+export function createMetricsRegistry() {
+  /** name → { type, help, labelNames, buckets?, series: Map<string, { labels, value?, counts?, sum?, count? }> } */
+  const families = new Map();
+
+  const register = (type, name, help, labelNames, buckets) => {
+    if (families.has(name)) throw new Error(`Metric already registered: ${name}`);
+    const family = { type, help, labelNames, buckets, series: new Map() };
+    families.set(name, family);
+    return family;
+  };
+
+  const seriesFor = (family, labels, init) => {
+    const picked = pick(family.labelNames, labels);
+    const key = JSON.stringify(Object.values(picked));
+    if (!family.series.has(key)) family.series.set(key, { labels: picked, ...init() });
+    return family.series.get(key);
+  };
+
+  return {
+    /**
+     * @param {string} name - e.g. triage_dedup_hits_total
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames = []) {
+      const family = register('counter', name, help, labelNames);
+      return {
+        inc(labels, by = 1) {
+          seriesFor(family, labels, () => ({ value: 0 })).value += by;
+        },
+      };
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {Gauge}
+     */
+    gauge(name, help, labelNames = []) {
+      const family = register('gauge', name, help, labelNames);
+      return {
+        set(labels, value) {
+          seriesFor(family, labels, () => ({ value: 0 })).value = value;
+        },
+      };
+    },
+
+    /**
+     * @param {string} name - e.g. triage_webhook_duration_seconds
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] - Upper bounds in seconds, ascending
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const family = register('histogram', name, help, labelNames, buckets);
+      const observe = (labels, seconds) => {
+        const series = seriesFor(family, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => { if (seconds <= bound) series.counts[i] += 1; });
+        series.sum += seconds;
+        series.count += 1;
+      };
+      return {
+        observe,
+        startTimer(labels = {}) {
+          const started = performance.now();
+          return (more = {}) => {
+            const seconds = (performance.now() - started) / 1000;
+            observe({ ...labels, ...more }, seconds);
+            return seconds;
+          };
+        },
+      };
+    },
+
+    /**
+     * Every metric in the Prometheus text exposition format (version 0.0.4).
+     * @returns {string}
+     */
+    render() {
+      const lines = [];
+      for (const [name, family] of families) {
+        lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+        for (const series of family.series.values()) {
+          if (family.type !== 'histogram') {
+            lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+            continue;
+          }
+          family.buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+          });
+          lines.push(
+            `${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+            `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+            `${name}_count${formatLabels(series.labels)} ${series.count}`,
+          );
+        }
+      }
+      return lines.join('\n') + '\n';
+    },
+
+    /** Drop every recorded series, keeping the metrics themselves (tests) */
+    reset() {
+      for (const family of families.values()) family.series.clear();
+    },
+  };
+}
+
+/** Process-wide registry served at GET /metrics */
+export const metrics = createMetricsRegistry();
+
+/** Time from a webhook arriving to the response, by event, repo and outcome */
+export const webhookDuration = metrics.histogram('triage_webhook_duration_seconds',
+  'Time to handle a GitHub webhook, excluding background work', ['event', 'repo', 'outcome']);
+
+/** Per-channel send time; the `_count` by outcome is what to alert on */
+export const notificationDuration = metrics.histogram('triage_notification_duration_seconds',
+  'Time to send a notification to one channel', ['repo', 'channel', 'kind', 'outcome']);
+
+export const spawnDuration = metrics.histogram('triage_spawn_duration_seconds',
+  'Time for the spawn script to start Ralph', ['repo', 'trigger', 'outcome']);
+
+export const signatureFailures = metrics.counter('triage_signature_failures_total',
+  'Requests rejected for a bad webhook signature or secret token', ['source']);
+
+export const rateLimited = metrics.counter('triage_rate_limited_total',
+  'Requests rejected by the rate limiter', ['route']);
+
+export const dedupHits = metrics.counter('triage_dedup_hits_total',
+  'Deliveries, issues and spawns skipped as already handled', ['repo', 'kind']);
+
+export const pipelineSteps = metrics.counter('triage_pipeline_steps_total',
+  'Triage pipeline steps by outcome', ['repo', 'step', 'outcome']);
+
+/**
+ * Prometheus name for a JSON metrics counter: issuesReceived →
+ * triage_issues_received_total.
+ * @param {string} name
+ * @returns {string}
+ */
+export function prometheusName(name) {
+  return `triage_${name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}_total`;
+}
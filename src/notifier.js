@@ -1,92 +1,256 @@
-import { env } from './config.js';
+import { getRepoConfig } from './repos.js';
+import { createChannel } from './channels.js';
+import { sessionId } from './runs.js';
+import { sanitizeText } from './sanitize.js';
+import { notificationDuration } from './metrics.js';
 
 /**
- * Format a Telegram notification for a new issue.
- * @param {string} repo
+ * Telegram buttons for a new issue: none when Ralph is already on it, and no
+ * Spawn when the issue looks like prompt injection (that takes /ralph force).
+ * @param {import('./analyzer.js').Decision} [decision]
+ * @returns {string[]|undefined}
+ */
+function newIssueActions(decision) {
+  if (decision?.action === 'auto-spawn') return undefined;
+  return ['spawn', 'clarify', 'dismiss', 'snooze']
+    .filter(action => !(action === 'spawn' && decision?.injection?.length))
+    .filter(action => !(action === 'clarify' && decision?.action === 'clarify'));
+}
+
+/**
+ * Format a notification for a new issue.
+ * @param {string} repo - Full name
  * @param {number} number
  * @param {object} issue
- * @returns {string}
+ * @param {import('./analyzer.js').Analysis} [analysis]
+ * @param {import('./analyzer.js').Decision} [decision]
+ * @returns {import('./channels.js').Message}
  */
-export function formatNewIssueMessage(repo, number, issue) {
-  const issueUrl = `https://github.com/atriumn/${repo}/issues/${number}`;
-  const body = issue.body || '';
+export function formatNewIssueMessage(repo, number, issue, analysis, decision) {
+  const body = sanitizeText(issue.body);
   const preview = body.length > 200 ? body.slice(0, 200) + '...' : body;
-
-  const lines = [
-    `\u{1F4CB} New Issue: ${repo}#${number}`,
-    issue.title,
-    '',
-  ];
+  const paragraphs = [];
 
   if (preview) {
-    lines.push(preview, '');
+    paragraphs.push(preview);
   }
 
-  lines.push(
-    `\u{1F517} ${issueUrl}`,
-    'Reply /ralph on the issue to auto-fix.',
-  );
+  if (analysis) {
+    const confidence = Math.round(analysis.confidence * 100);
+    paragraphs.push(analysis.degraded
+      ? analysis.reasoning
+      : `\u{1F3F7} ${analysis.type} \u00B7 ${analysis.severity} \u00B7 ${confidence}% confidence\n${analysis.reasoning}`);
+  }
+
+  let footer = 'Reply /ralph on the issue to auto-fix.';
+  if (decision?.injection?.length) {
+    footer = '\u{26A0}\u{FE0F} Possible prompt injection, auto-spawn blocked. Read the issue, then reply /ralph force to spawn anyway.';
+  } else if (decision?.action === 'auto-spawn') {
+    footer = `\u{1F916} Auto-spawning Ralph (${decision.reason}).`;
+  } else if (decision?.action === 'offer-fix') {
+    footer = `\u{1F4A1} Looks fixable (${decision.reason}). Reply /ralph on the issue to auto-fix.`;
+  }
 
-  return lines.join('\n');
+  return {
+    kind: 'new-issue',
+    icon: '\u{1F4CB}',
+    title: `New Issue: ${repo}#${number}`,
+    subtitle: sanitizeText(issue.title),
+    paragraphs,
+    list: decision?.action === 'clarify'
+      ? { heading: '\u{2753} Needs clarification:', items: analysis.needsClarification }
+      : undefined,
+    url: issue.html_url || `https://github.com/${repo}/issues/${number}`,
+    footer,
+    actions: newIssueActions(decision),
+    meta: {
+      repo,
+      number,
+      action: decision?.action,
+      type: analysis?.type,
+      severity: analysis?.severity,
+      confidence: analysis?.confidence,
+      injection: decision?.injection?.map(f => f.rule),
+    },
+  };
 }
 
 /**
- * Format a Telegram notification for Ralph being spawned.
+ * Format a notification for Ralph being spawned.
  * @param {string} repo
  * @param {number} number
  * @param {string} issueTitle
- * @returns {string}
+ * @returns {import('./channels.js').Message}
  */
 export function formatRalphSpawnedMessage(repo, number, issueTitle) {
-  return [
-    `\u{1F680} Ralph spawned: ${repo}#${number}`,
-    issueTitle,
-    `Session: ${repo}-${number}`,
-  ].join('\n');
+  return {
+    kind: 'ralph-spawned',
+    icon: '\u{1F680}',
+    title: `Ralph spawned: ${repo}#${number}`,
+    subtitle: sanitizeText(issueTitle),
+    footer: `Session: ${sessionId(repo, number)}`,
+    meta: { repo, number, session: sessionId(repo, number) },
+  };
+}
+
+const RUN_ICONS = {
+  succeeded: '\u{2705}',
+  failed: '\u{274C}',
+  cancelled: '\u{1F6D1}',
+};
+
+/**
+ * Format a notification for a Ralph run changing state.
+ * @param {import('./runs.js').Run} run
+ * @returns {import('./channels.js').Message}
+ */
+export function formatRunUpdateMessage(run) {
+  return {
+    kind: 'run-update',
+    icon: RUN_ICONS[run.state] || '\u{1F504}',
+    title: `Ralph ${run.state}: ${run.repo}#${run.number}`,
+    subtitle: sanitizeText(run.title),
+    paragraphs: run.message ? [run.message] : [],
+    url: run.prUrl || run.url || `https://github.com/${run.repo}/issues/${run.number}`,
+    footer: `Session: ${run.session}`,
+    meta: { repo: run.repo, number: run.number, session: run.session, state: run.state, prUrl: run.prUrl },
+  };
+}
+
+const PR_VERBS = {
+  open: { icon: '\u{1F500}', verb: 'opened' },
+  merged: { icon: '\u{1F389}', verb: 'merged' },
+  closed: { icon: '\u{1F6AB}', verb: 'closed without merging' },
+};
+
+/**
+ * Format a notification for a PR linked to a Ralph run.
+ * @param {import('./runs.js').Run} run
+ * @param {import('./runs.js').PullRequestLink} pr
+ * @returns {import('./channels.js').Message}
+ */
+export function formatPullRequestMessage(run, pr) {
+  const { icon, verb } = PR_VERBS[pr.state];
+  return {
+    kind: 'pull-request',
+    icon,
+    title: `PR ${verb}: ${run.repo}#${pr.number}`,
+    subtitle: sanitizeText(pr.title),
+    paragraphs: [`For ${run.repo}#${run.number}${run.title ? ` (${sanitizeText(run.title)})` : ''}`],
+    url: pr.url,
+    footer: `Session: ${run.session}`,
+    meta: { repo: run.repo, number: run.number, session: run.session, pr: pr.number, prState: pr.state },
+  };
+}
+
+/** Channel type → outcome of the last send to a channel of that type, for GET /ready */
+const lastSends = new Map();
+
+/**
+ * Outcome of the last send to each channel type since startup.
+ * @returns {Record<string, { ok: boolean, at: string, error?: string }>}
+ */
+export function lastNotifications() {
+  return Object.fromEntries(lastSends);
+}
+
+/** Forget past sends (tests) */
+export function clearNotificationHistory() {
+  lastSends.clear();
 }
 
 /**
- * Send a message to Telegram via the Bot API.
- * @param {string} message
+ * Send a message to every channel, timing each send. All channels are
+ * attempted; if any fail, the error lists each failure and carries them as
+ * `failures`.
+ * @param {import('./channels.js').Message} message
+ * @param {import('./channels.js').ChannelConfig[]} [channels] - Defaults to Telegram only
  * @returns {Promise<void>}
  */
-export async function sendNotification(message) {
-  const url = `https://api.telegram.org/bot${env.telegramBotToken}/sendMessage`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      chat_id: env.telegramChatId,
-      text: message,
-    }),
-  });
-
-  if (!res.ok) {
-    const body = await res.text().catch(() => '');
-    throw new Error(`Telegram API error ${res.status}: ${body}`);
+export async function sendNotification(message, channels = [{ type: 'telegram' }]) {
+  const results = await Promise.allSettled(channels.map(async config => {
+    const done = notificationDuration.startTimer({ repo: message.meta?.repo, channel: config.type, kind: message.kind });
+    try {
+      await createChannel(config).send(message);
+      done({ outcome: 'ok' });
+      lastSends.set(config.type, { ok: true, at: new Date().toISOString() });
+    } catch (err) {
+      done({ outcome: 'failed' });
+      lastSends.set(config.type, { ok: false, at: new Date().toISOString(), error: err.message });
+      throw err;
+    }
+  }));
+
+  const failures = results
+    .map((result, i) => ({ channel: channels[i], error: result.reason }))
+    .filter((_, i) => results[i].status === 'rejected');
+
+  if (failures.length) {
+    const err = new Error(failures.map(f => `${f.channel.type}: ${f.error.message}`).join('; '));
+    err.failures = failures;
+    throw err;
   }
 }
 
 /**
- * Notify about a new issue via Telegram.
+ * Channels a failed sendNotification should be retried on. Channels that
+ * succeeded are left out so a retry doesn't repeat the message there.
+ * @param {Error & { failures?: Array<{ channel: import('./channels.js').ChannelConfig }> }} err
+ * @returns {import('./channels.js').ChannelConfig[]|undefined} Undefined when the error isn't per-channel
+ */
+export function failedChannels(err) {
+  return err.failures?.map(f => f.channel);
+}
+
+/**
+ * Notify about a new issue on the repo's channels.
  * @param {string} repo
  * @param {number} number
  * @param {object} issue
+ * @param {import('./analyzer.js').Analysis} [analysis]
+ * @param {import('./analyzer.js').Decision} [decision]
+ * @param {object} [options]
+ * @param {import('./channels.js').ChannelConfig[]} [options.channels] - Overrides the repo's channels (retries)
  * @returns {Promise<void>}
  */
-export async function notifyNewIssue(repo, number, issue) {
-  const message = formatNewIssueMessage(repo, number, issue);
-  await sendNotification(message);
+export async function notifyNewIssue(repo, number, issue, analysis, decision, { channels } = {}) {
+  const message = formatNewIssueMessage(repo, number, issue, analysis, decision);
+  await sendNotification(message, channels || getRepoConfig(repo).channels);
 }
 
 /**
- * Notify about Ralph being spawned via Telegram.
+ * Notify about Ralph being spawned on the repo's channels.
  * @param {string} repo
  * @param {number} number
  * @param {string} issueTitle
+ * @param {object} [options]
+ * @param {import('./channels.js').ChannelConfig[]} [options.channels] - Overrides the repo's channels (retries)
  * @returns {Promise<void>}
  */
-export async function notifyRalphSpawned(repo, number, issueTitle) {
+export async function notifyRalphSpawned(repo, number, issueTitle, { channels } = {}) {
   const message = formatRalphSpawnedMessage(repo, number, issueTitle);
-  await sendNotification(message);
+  await sendNotification(message, channels || getRepoConfig(repo).channels);
+}
+
+/**
+ * Notify about a Ralph run changing state on the repo's channels.
+ * @param {import('./runs.js').Run} run
+ * @param {object} [options]
+ * @param {import('./channels.js').ChannelConfig[]} [options.channels] - Overrides the repo's channels (retries)
+ * @returns {Promise<void>}
+ */
+export async function notifyRunUpdate(run, { channels } = {}) {
+  await sendNotification(formatRunUpdateMessage(run), channels || getRepoConfig(run.repo).channels);
+}
+
+/**
+ * Notify about a PR linked to a Ralph run on the repo's channels.
+ * @param {import('./runs.js').Run} run
+ * @param {import('./runs.js').PullRequestLink} pr
+ * @param {object} [options]
+ * @param {import('./channels.js').ChannelConfig[]} [options.channels] - Overrides the repo's channels (retries)
+ * @returns {Promise<void>}
+ */
+export async function notifyPullRequest(run, pr, { channels } = {}) {
+  await sendNotification(formatPullRequestMessage(run, pr), channels || getRepoConfig(run.repo).channels);
 }
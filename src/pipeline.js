@@ -0,0 +1,186 @@
+import { analyzeIssue, determineAction } from './analyzer.js';
+import {
+  notifyNewIssue, notifyRalphSpawned, notifyRunUpdate, notifyPullRequest, failedChannels,
+} from './notifier.js';
+import { spawnRalph, cancelRalph } from './spawner.js';
+import { postClarification } from './clarifier.js';
+import { postComment, getIssue } from './github.js';
+import { sendMessage, editMessage, answerCallback } from './telegram.js';
+import { sessionId } from './runs.js';
+
+/** @typedef {Object} PipelineDeps
+ * @property {{ analyzeIssue: Function, determineAction: Function }} analyzer
+ * @property {{ notifyNewIssue: Function, notifyRalphSpawned: Function, notifyRunUpdate?: Function, notifyPullRequest?: Function }} notifier
+ * @property {{ spawnRalph: Function, cancelRalph: Function }} spawner
+ * @property {{ postClarification: Function }|null} clarifier - Skipped when null
+ * @property {{ postComment: Function, getIssue: Function }} github - Used for command replies and Telegram actions outside the pipeline
+ * @property {{ sendMessage: Function, editMessage: Function, answerCallback: Function }} telegram - Used for Telegram button presses outside the pipeline
+ * @property {{ isDuplicate: (key: string) => boolean, markProcessed: (key: string) => void }} [dedup]
+ * @property {{ retry: (type: string, payload: object, err: Error) => import('./queue.js').Job }} [queue] - Failed spawns and notifications are queued for retry
+ * @property {{ start: Function, transition: Function, get: Function }} [runs] - Run registry; spawns are recorded as queued, then running
+ * @property {{ submit: (job: import('./scheduler.js').SpawnJob) => import('./scheduler.js').Placement }} [scheduler] - When set, spawns are handed to it instead of calling the spawner directly; it then owns the run, retries and spawn notification
+ */
+
+/** @typedef {Object} PipelineEvent
+ * @property {string} repo
+ * @property {number} number
+ * @property {object} issue
+ * @property {import('./repos.js').RepoConfig} repoConf
+ * @property {string} [deliveryId]
+ */
+
+/** @typedef {Object} StepResult
+ * @property {string} step - analyze | decide | spawn | clarify | notify | notify-spawned
+ * @property {'ok'|'failed'|'skipped'} status
+ * @property {string} [error]
+ * @property {string} [reason]
+ * @property {'queued'|'dead-lettered'} [retry] - Set on failed steps handed to the retry queue
+ * @property {string} [jobId]
+ */
+
+/** @typedef {Object} PipelineResult
+ * @property {boolean} ok - False if any step failed
+ * @property {string} repo
+ * @property {number} number
+ * @property {import('./analyzer.js').Analysis} [analysis]
+ * @property {import('./analyzer.js').Decision} [decision]
+ * @property {StepResult[]} steps
+ */
+
+/** @type {PipelineDeps} */
+export const defaultDeps = {
+  analyzer: { analyzeIssue, determineAction },
+  notifier: { notifyNewIssue, notifyRalphSpawned, notifyRunUpdate, notifyPullRequest },
+  spawner: { spawnRalph, cancelRalph },
+  clarifier: { postClarification },
+  github: { postComment, getIssue },
+  telegram: { sendMessage, editMessage, answerCallback },
+};
+
+/**
+ * Run a step, recording its outcome instead of throwing.
+ * @param {StepResult[]} steps
+ * @param {string} step
+ * @param {() => Promise<object|void>} fn - May resolve to extra fields for the step record
+ * @param {(err: Error) => import('./queue.js').Job|undefined} [onFailure] - Queues a retry
+ * @returns {Promise<boolean>} Whether the step succeeded
+ */
+async function runStep(steps, step, fn, onFailure) {
+  try {
+    const extra = await fn();
+    steps.push({ step, status: 'ok', ...extra });
+    return true;
+  } catch (err) {
+    const job = onFailure?.(err);
+    steps.push({
+      step,
+      status: 'failed',
+      error: err.message,
+      ...(job && { retry: job.deadAt ? 'dead-lettered' : 'queued', jobId: job.id }),
+    });
+    return false;
+  }
+}
+
+/**
+ * Triage one issue: analyze → decide → act → notify.
+ * Never throws; every step's outcome is reported in the result. The
+ * notification is always attempted, even when the action failed.
+ *
+ * An issue Ralph already has a run for (in any state) is never auto-spawned
+ * again: re-triage after an edit or reopen offers the fix instead, so it
+ * doesn't depend on the `ralph:` dedup key, which expires and is cleared by
+ * cancel.
+ * @param {PipelineEvent} event
+ * @param {Partial<PipelineDeps>} [deps]
+ * @returns {Promise<PipelineResult>}
+ */
+export async function runPipeline(event, deps = {}) {
+  const { analyzer, notifier, spawner, clarifier, dedup, queue, runs, scheduler } = { ...defaultDeps, ...deps };
+  const { repo, number, issue, repoConf } = event;
+  const retry = (type, payload, err) => queue?.retry(type, payload, err);
+  /** @type {StepResult[]} */
+  const steps = [];
+  const result = { ok: true, repo, number, steps };
+
+  const analyzed = await runStep(steps, 'analyze', async () => {
+    result.analysis = await analyzer.analyzeIssue(repo, number, issue, { repoConf });
+    return result.analysis.degraded ? { degraded: true, reason: result.analysis.reasoning } : {};
+  });
+  if (!analyzed) {
+    result.ok = false;
+    return result;
+  }
+
+  await runStep(steps, 'decide', async () => {
+    result.decision = analyzer.determineAction(result.analysis, repoConf, issue);
+    if (result.decision.action === 'auto-spawn' && runs?.get(sessionId(repo, number))) {
+      result.decision = {
+        ...result.decision,
+        action: 'offer-fix',
+        reason: `${result.decision.reason}, but Ralph already ran for this issue`,
+      };
+    }
+    return { action: result.decision.action, reason: result.decision.reason };
+  });
+  if (!result.decision) {
+    result.ok = false;
+    return result;
+  }
+
+  const { action } = result.decision;
+  let spawned = false;
+
+  if (action === 'auto-spawn') {
+    const ralphKey = `ralph:${repo}#${number}`;
+    if (dedup?.isDuplicate(ralphKey)) {
+      steps.push({ step: 'spawn', status: 'skipped', reason: 'Already spawned' });
+    } else {
+      dedup?.markProcessed(ralphKey);
+      const extras = { analysis: result.analysis };
+      if (scheduler) {
+        await runStep(steps, 'spawn', async () => {
+          const placement = scheduler.submit({ repo, number, issue, extras, trigger: 'auto' });
+          return placement.started ? { scheduled: 'started' } : { scheduled: 'queued', position: placement.position };
+        });
+      } else {
+        const run = runs?.start(repo, number, { title: issue.title, url: issue.html_url, trigger: 'auto' });
+        spawned = await runStep(steps, 'spawn', async () => {
+          await spawner.spawnRalph(repo, number, issue, extras);
+          if (run) runs.transition(run.session, 'running');
+          return run ? { session: run.session } : {};
+        }, err => retry('spawn', { repo, number, issue, extras, trigger: 'auto' }, err));
+      }
+    }
+  }
+
+  if (action === 'clarify') {
+    if (clarifier) {
+      await runStep(steps, 'clarify', () => clarifier.postClarification(repo, number, result.analysis.needsClarification));
+    } else {
+      steps.push({ step: 'clarify', status: 'skipped', reason: 'No clarifier configured' });
+    }
+  }
+
+  const { analysis, decision } = result;
+  await runStep(steps, 'notify', () => notifier.notifyNewIssue(repo, number, issue, analysis, decision),
+    err => retry('notify-issue', { repo, number, issue, analysis, decision, channels: failedChannels(err) }, err));
+
+  if (spawned) {
+    await runStep(steps, 'notify-spawned', () => notifier.notifyRalphSpawned(repo, number, issue.title),
+      err => retry('notify-spawned', { repo, number, title: issue.title, channels: failedChannels(err) }, err));
+  }
+
+  result.ok = steps.every(s => s.status !== 'failed');
+  return result;
+}
+
+/**
+ * Find a step in a pipeline result.
+ * @param {PipelineResult} result
+ * @param {string} step
+ * @returns {StepResult|undefined}
+ */
+export function findStep(result, step) {
+  return result.steps.find(s => s.step === step);
+}
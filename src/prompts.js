@@ -0,0 +1,227 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { env } from './config.js';
+import { repoNames } from './repos.js';
+import { ISSUE_TYPES } from './analyzer.js';
+import { sanitizeText, fenceUntrusted } from './sanitize.js';
+
+/** Variables a prompt template may use */
+export const TEMPLATE_VARIABLES = [
+  'repo', 'number', 'url', 'title', 'body', 'labels', 'author', 'type',
+  'triageNotes', 'acceptanceCriteria', 'instructions', 'comments', 'references',
+];
+
+/** @typedef {string | { variable: string } | { section: string, children: TemplateNode[] }} TemplateNode */
+
+/** @typedef {Object} RenderedPrompt
+ * @property {string} template - File the prompt was rendered from, e.g. repo.atriumn.idynic.md
+ * @property {string} prompt
+ */
+
+const TAG = /\{\{\s*([#/]?)\s*(\w+)\s*\}\}/g;
+// Section tags alone on a line take the line with them, so optional blocks leave no blank lines behind
+const STANDALONE = /^[ \t]*(\{\{\s*[#/]\s*\w+\s*\}\})[ \t]*\r?\n/gm;
+const FILE_NAME = /^(?:default|type\.([\w-]+)|repo\.([\w-]+)\.([\w.-]+))\.md$/;
+
+/**
+ * Parse a template. `{{name}}` inserts a variable; `{{#name}}...{{/name}}`
+ * renders its contents only when the variable is non-empty.
+ * Throws with `problems` listing every error found.
+ * @param {string} source
+ * @returns {TemplateNode[]}
+ */
+export function parseTemplate(source) {
+  const text = source.replace(STANDALONE, '$1');
+  const problems = [];
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of text.matchAll(TAG)) {
+    const [tag, sigil, name] = match;
+    const { children } = stack.at(-1);
+    if (match.index > last) children.push(text.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (!TEMPLATE_VARIABLES.includes(name)) problems.push(`unknown variable ${tag}`);
+    if (sigil === '#') {
+      const node = { section: name, children: [] };
+      children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.at(-1).section === name) stack.pop();
+      else problems.push(`${tag} does not close an open section`);
+    } else {
+      children.push({ variable: name });
+    }
+  }
+  if (last < text.length) stack.at(-1).children.push(text.slice(last));
+
+  for (const node of stack.slice(1)) problems.push(`{{#${node.section}}} is never closed`);
+  if (text.replace(TAG, '').includes('{{')) problems.push('malformed {{ tag');
+
+  if (problems.length) {
+    const err = new Error(`Invalid template: ${problems.join('; ')}`);
+    err.problems = problems;
+    throw err;
+  }
+  return root.children;
+}
+
+/**
+ * Render a parsed template.
+ * @param {TemplateNode[]} nodes
+ * @param {Record<string, string>} vars
+ * @returns {string}
+ */
+export function renderTemplate(nodes, vars) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    if (node.variable) return vars[node.variable] ?? '';
+    return vars[node.section] ? renderTemplate(node.children, vars) : '';
+  }).join('');
+}
+
+/**
+ * The repo and issue type a template file name applies to, or null if the
+ * name isn't a template's. A repo name may contain dots, so a trailing
+ * `.<type>` only counts when it names an issue type.
+ * @param {string} file
+ * @returns {{ repo?: string, type?: string }|null}
+ */
+export function templateTarget(file) {
+  const match = file.match(FILE_NAME);
+  if (!match) return null;
+  if (!match[2]) return { type: match[1] };
+  const parts = match[3].split('.');
+  const type = parts.length > 1 && ISSUE_TYPES.includes(parts.at(-1)) ? parts.pop() : undefined;
+  return { repo: `${match[2]}/${parts.join('.')}`, type };
+}
+
+/**
+ * Read and validate every template in a directory. File names select when a
+ * template applies: `default.md`, `type.<type>.md`, `repo.<owner>.<name>.md`
+ * or `repo.<owner>.<name>.<type>.md`. Throws listing every problem, so a bad template
+ * stops startup instead of a spawn.
+ * @param {string} [dir] - Defaults to TEMPLATE_DIR
+ * @returns {Map<string, TemplateNode[]>} File name → parsed template
+ */
+export function loadTemplates(dir = env.templateDir) {
+  const templates = new Map();
+  const problems = [];
+  let files;
+  try {
+    files = readdirSync(dir).filter(file => file.endsWith('.md'));
+  } catch (err) {
+    throw new Error(`Cannot read prompt templates from ${dir}: ${err.message}`);
+  }
+
+  for (const file of files) {
+    const target = templateTarget(file);
+    if (!target) {
+      problems.push(`${file}: name must be default.md, type.<type>.md, repo.<owner>.<name>.md or repo.<owner>.<name>.<type>.md`);
+      continue;
+    }
+    const { repo, type } = target;
+    if (type && !ISSUE_TYPES.includes(type)) problems.push(`${file}: unknown issue type ${type}`);
+    if (repo && !repoNames().some(name => name.toLowerCase() === repo.toLowerCase())) {
+      problems.push(`${file}: unknown repo ${repo}`);
+    }
+
+    try {
+      templates.set(file, parseTemplate(readFileSync(join(dir, file), 'utf-8')));
+    } catch (err) {
+      problems.push(...(err.problems || [err.message]).map(problem => `${file}: ${problem}`));
+    }
+  }
+  if (!files.includes('default.md')) problems.push('default.md is missing');
+
+  if (problems.length) {
+    const err = new Error(`Invalid prompt templates in ${dir}:\n${problems.map(p => `- ${p}`).join('\n')}`);
+    err.problems = problems;
+    throw err;
+  }
+  return templates;
+}
+
+/**
+ * The most specific template for a repo and issue type:
+ * repo + type, then repo, then type, then default.
+ * @param {Map<string, TemplateNode[]>} templates
+ * @param {string} repo - Full name
+ * @param {string} [type]
+ * @returns {string} File name
+ */
+export function templateName(templates, repo, type) {
+  const prefix = `repo.${repo.replace('/', '.')}`;
+  const candidates = [
+    type && `${prefix}.${type}.md`,
+    `${prefix}.md`,
+    type && `type.${type}.md`,
+    'default.md',
+  ];
+  return candidates.find(name => name && templates.has(name));
+}
+
+/**
+ * Template variables for an issue. The issue type comes from the analysis,
+ * or else a label named after a type (for /ralph without triage). Labels
+ * come from the fetched context when there is one, since they may have
+ * changed since the webhook.
+ *
+ * Text written by issue authors and commenters has hidden text stripped and
+ * secrets redacted; the body, comments and references are also wrapped in
+ * `untrusted` fences so the template can tell Ralph not to take orders from
+ * them.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @param {object} issue
+ * @param {{ analysis?: import('./analyzer.js').Analysis, instructions?: string, context?: import('./context.js').IssueContext }} [extras]
+ * @returns {Record<string, string>}
+ */
+export function promptVariables(repo, number, issue, extras = {}) {
+  const { analysis, context } = extras;
+  const untrusted = (text) => {
+    const clean = sanitizeText(text).trim();
+    return clean ? fenceUntrusted(clean) : '';
+  };
+  const labels = context?.labels
+    || (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)).filter(Boolean);
+  return {
+    repo,
+    number: String(number),
+    url: issue.html_url || `https://github.com/${repo}/issues/${number}`,
+    title: sanitizeText(issue.title).replace(/\s+/g, ' ').trim(),
+    body: untrusted(issue.body) || '(no description)',
+    labels: labels.join(', '),
+    author: issue.user?.login || '',
+    type: analysis?.type || labels.find(label => ISSUE_TYPES.includes(label)) || '',
+    triageNotes: analysis?.ralphPrompt || '',
+    acceptanceCriteria: (analysis?.acceptanceCriteria || []).map(c => `- ${c}`).join('\n'),
+    instructions: sanitizeText(extras.instructions),
+    comments: untrusted(context?.comments),
+    references: untrusted(context?.references),
+  };
+}
+
+/** Parsed templates by directory, loaded on first use */
+const cache = new Map();
+
+/**
+ * Render Ralph's prompt for an issue with the template that applies to it.
+ * Templates are read once per directory; restart to pick up edits.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @param {object} issue
+ * @param {object} [extras] - See promptVariables
+ * @returns {RenderedPrompt}
+ */
+export function renderPrompt(repo, number, issue, extras = {}) {
+  const dir = env.templateDir;
+  if (!cache.has(dir)) cache.set(dir, loadTemplates(dir));
+  const templates = cache.get(dir);
+
+  const vars = promptVariables(repo, number, issue, extras);
+  const template = templateName(templates, repo, vars.type);
+  return { template, prompt: renderTemplate(templates.get(template), vars).trim() };
+}
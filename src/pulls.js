@@ -0,0 +1,57 @@
+/** PR actions that change what we know about a linked run */
+export const PULL_REQUEST_ACTIONS = ['opened', 'reopened', 'closed'];
+
+/**
+ * Issue numbers a text refers to: `#12`, `owner/repo#12` or an issue URL.
+ * References to other repos are ignored.
+ * @param {string} text
+ * @param {string} fullName - `owner/repo` the text belongs to
+ * @returns {number[]} Unique, in order of appearance
+ */
+export function parseIssueReferences(text, fullName) {
+  return matchReferences(text, fullName, /(?:https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/issues\/|(?:\b([\w.-]+\/[\w.-]+))?#)(\d+)\b/g);
+}
+
+/**
+ * Issues a PR says it closes in its title or body, using one of GitHub's
+ * closing keywords: `Fixes #12`, `closes owner/repo#12` or `Resolves: <issue
+ * URL>`. Passing mentions ("see #12") don't count, so only PRs that claim to
+ * fix an issue are linked to its run. References to other repos are ignored.
+ * @param {string} text
+ * @param {string} fullName - `owner/repo` of the PR's repository
+ * @returns {number[]} Unique, in order of appearance
+ */
+export function parseClosingReferences(text, fullName) {
+  return matchReferences(text, fullName, /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+(?:https:\/\/github\.com\/([\w.-]+\/[\w.-]+)\/issues\/|([\w.-]+\/[\w.-]+)?#)(\d+)\b/gi);
+}
+
+/**
+ * Issue numbers matched by a pattern capturing an issue URL's repo, a
+ * reference's `owner/repo` and the number.
+ * @param {string} text
+ * @param {string} fullName
+ * @param {RegExp} pattern - Global
+ * @returns {number[]}
+ */
+function matchReferences(text, fullName, pattern) {
+  const numbers = new Set();
+
+  for (const match of (text || '').matchAll(pattern)) {
+    const repo = match[1] || match[2];
+    if (repo && repo.toLowerCase() !== fullName?.toLowerCase()) continue;
+    numbers.add(Number(match[3]));
+  }
+
+  return [...numbers];
+}
+
+/**
+ * The PR's state after a webhook action.
+ * @param {string} action
+ * @param {object} pr - `pull_request` from the payload
+ * @returns {'open'|'merged'|'closed'}
+ */
+export function pullRequestState(action, pr) {
+  if (action !== 'closed') return 'open';
+  return pr.merged ? 'merged' : 'closed';
+}
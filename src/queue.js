@@ -0,0 +1,221 @@
+import { randomUUID } from 'node:crypto';
+
+/** @typedef {Object} Job
+ * @property {string} id
+ * @property {string} type - Key into the queue's handlers
+ * @property {object} payload - Must be JSON-serializable; jobs survive restarts
+ * @property {number} attempts - Attempts made so far, including the original failed call
+ * @property {number} nextRunAt - Epoch ms
+ * @property {string} createdAt
+ * @property {string} [lastError]
+ * @property {string} [deadAt] - Set once the job is dead-lettered
+ */
+
+/**
+ * Whether an error is worth retrying. Explicit `retryable` wins; otherwise
+ * HTTP 408/429/5xx and errors without a status (network failures, timeouts)
+ * are retryable, and other 4xx are permanent. Aggregated notification errors
+ * are retryable if any underlying failure is.
+ * @param {Error & { retryable?: boolean, status?: number, failures?: Array<{ error: Error }> }} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (typeof err?.retryable === 'boolean') return err.retryable;
+  if (err?.failures?.length) return err.failures.some(f => isRetryableError(f.error));
+  if (typeof err?.status !== 'number') return true;
+  return err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+/**
+ * Delay before the next attempt: the server's retry-after hint if it gave one,
+ * else exponential backoff with jitter (between 50% and 100% of the step).
+ * @param {number} attempts - Attempts made so far
+ * @param {Error & { retryAfter?: number }} err
+ * @param {object} options
+ * @returns {number} ms
+ */
+export function retryDelay(attempts, err, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const hint = err?.retryAfter ?? err?.failures?.map(f => f.error?.retryAfter).find(Boolean);
+  if (hint) return Math.min(hint * 1000, maxDelayMs);
+  const step = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+/**
+ * Durable retry queue on top of the state store. Pending jobs live in the
+ * `jobs` namespace and dead letters in `deadLetters`, so both survive restarts.
+ * @param {import('./state.js').StateStore} store
+ * @param {Record<string, (payload: object) => Promise<void>>} handlers
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {() => number} [options.random] - For deterministic jitter in tests
+ * @param {(level: string, msg: string, data: object) => void} [options.log]
+ * @param {(job: Job, err: Error) => void} [options.onDeadLetter]
+ */
+export function createJobQueue(store, handlers, options = {}) {
+  const settings = {
+    maxAttempts: 5,
+    baseDelayMs: 30_000,
+    maxDelayMs: 30 * 60_000,
+    ...options,
+  };
+  const log = options.log || (() => {});
+  const onDeadLetter = options.onDeadLetter || (() => {});
+  let timer = null;
+  let running = null;
+
+  const deadLetter = (job, err) => {
+    store.delete('jobs', job.id);
+    const dead = { ...job, lastError: err.message, deadAt: new Date().toISOString() };
+    store.set('deadLetters', job.id, dead);
+    log('error', 'Job dead-lettered', { jobId: job.id, type: job.type, attempts: job.attempts, error: err.message });
+    onDeadLetter(dead, err);
+  };
+
+  /**
+   * Record a failed attempt: schedule the next one or dead-letter the job.
+   * @param {Job} job
+   * @param {Error} err
+   */
+  const fail = (job, err) => {
+    if (!isRetryableError(err) || job.attempts >= settings.maxAttempts) {
+      deadLetter(job, err);
+      return;
+    }
+    const delay = retryDelay(job.attempts, err, settings);
+    store.set('jobs', job.id, { ...job, lastError: err.message, nextRunAt: Date.now() + delay });
+    log('info', 'Job scheduled for retry', { jobId: job.id, type: job.type, attempts: job.attempts, delayMs: delay });
+  };
+
+  return {
+    /**
+     * Queue a retry for a call that just failed with `err`. Permanent errors go
+     * straight to the dead-letter list.
+     * @param {string} type
+     * @param {object} payload
+     * @param {Error} err
+     * @returns {Job}
+     */
+    retry(type, payload, err) {
+      if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+      const job = {
+        id: randomUUID(),
+        type,
+        payload,
+        attempts: 1,
+        nextRunAt: Date.now(),
+        createdAt: new Date().toISOString(),
+      };
+      fail(job, err);
+      return store.get('jobs', job.id) || store.get('deadLetters', job.id);
+    },
+
+    /**
+     * Queue a job to run later (e.g. a snoozed reminder). If it fails, it is
+     * retried like any other job.
+     * @param {string} type
+     * @param {object} payload
+     * @param {number} delayMs
+     * @returns {Job}
+     */
+    schedule(type, payload, delayMs) {
+      if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+      const job = {
+        id: randomUUID(),
+        type,
+        payload,
+        attempts: 0,
+        nextRunAt: Date.now() + delayMs,
+        createdAt: new Date().toISOString(),
+      };
+      store.set('jobs', job.id, job);
+      log('info', 'Job scheduled', { jobId: job.id, type, delayMs });
+      return job;
+    },
+
+    /**
+     * Run every job that is due. Jobs run one at a time; overlapping calls
+     * share the same run.
+     * @returns {Promise<number>} Number of jobs attempted
+     */
+    runDue() {
+      if (running) return running;
+      running = (async () => {
+        const now = Date.now();
+        const due = store.entries('jobs').map(([, job]) => job).filter(job => job.nextRunAt <= now);
+        for (const job of due) {
+          const attempt = { ...job, attempts: job.attempts + 1 };
+          try {
+            await handlers[job.type](job.payload);
+            store.delete('jobs', job.id);
+            log('info', 'Job succeeded', { jobId: job.id, type: job.type, attempts: attempt.attempts });
+          } catch (err) {
+            fail(attempt, err);
+          }
+        }
+        return due.length;
+      })().finally(() => { running = null; });
+      return running;
+    },
+
+    /**
+     * Move a dead-lettered job back to the queue with a fresh attempt budget.
+     * @param {string} id
+     * @returns {Job|null} The re-queued job, or null if no such dead letter
+     */
+    redrive(id) {
+      const job = store.get('deadLetters', id);
+      if (!job) return null;
+      const { deadAt, ...rest } = job;
+      const requeued = { ...rest, attempts: 0, nextRunAt: Date.now() };
+      store.delete('deadLetters', id);
+      store.set('jobs', id, requeued);
+      log('info', 'Job re-driven', { jobId: id, type: job.type });
+      return requeued;
+    },
+
+    /**
+     * Drop pending jobs that are no longer wanted (e.g. spawns for a closed issue).
+     * @param {(job: Job) => boolean} predicate
+     * @returns {number} Number of jobs dropped
+     */
+    discard(predicate) {
+      const dropped = this.pending().filter(predicate);
+      for (const job of dropped) {
+        store.delete('jobs', job.id);
+        log('info', 'Job discarded', { jobId: job.id, type: job.type });
+      }
+      return dropped.length;
+    },
+
+    /** @returns {Job[]} */
+    pending() {
+      return store.entries('jobs').map(([, job]) => job);
+    },
+
+    /** @returns {Job[]} */
+    deadLetters() {
+      return store.entries('deadLetters').map(([, job]) => job);
+    },
+
+    /** @returns {{ pending: number, dead: number }} */
+    stats() {
+      return { pending: store.size('jobs'), dead: store.size('deadLetters') };
+    },
+
+    /** Poll for due jobs every `intervalMs` */
+    start(intervalMs = 5_000) {
+      timer ||= setInterval(() => {
+        this.runDue().catch(err => log('error', 'Job queue run failed', { error: err.message }));
+      }, intervalMs);
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
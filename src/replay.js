@@ -0,0 +1,237 @@
+import { readFile, readdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildServer } from './index.js';
+import { defaultDeps } from './pipeline.js';
+import { createMemoryStore } from './state.js';
+import { signWebhookPayload } from './security.js';
+import { renderPrompt } from './prompts.js';
+import { renderText } from './channels.js';
+import { formatClarificationComment } from './clarifier.js';
+import { fallbackAnalysis } from './analyzer.js';
+import {
+  formatNewIssueMessage, formatRalphSpawnedMessage, formatRunUpdateMessage, formatPullRequestMessage,
+} from './notifier.js';
+
+/** Saved payloads that can be replayed by name, e.g. `issues-opened` */
+export const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/webhooks', import.meta.url));
+
+/** @typedef {Object} ReplayReport
+ * @property {number} status - HTTP status of the webhook response
+ * @property {object|string} response - Webhook response body
+ * @property {object[]} triage - `triage` audit records: decision, analysis and steps
+ * @property {{ kind: string, text: string }[]} notifications - As rendered for Telegram
+ * @property {{ repo: string, number: number, template: string, prompt: string }[]} prompts - Ralph's prompts
+ * @property {{ repo: string, number: number, body: string }[]} comments - Comments and clarifications
+ * @property {{ repo: string, number: number }[]} cancels - Ralph sessions cancelled
+ */
+
+/**
+ * Names of the saved payloads in FIXTURE_DIR.
+ * @param {string} [dir]
+ * @returns {Promise<string[]>}
+ */
+export async function listFixtures(dir = FIXTURE_DIR) {
+  const files = await readdir(dir).catch(() => []);
+  return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort();
+}
+
+/**
+ * Read a webhook payload from a JSON file, or a fixture by name.
+ * @param {string} source - Path, or fixture name
+ * @param {string} [fixtureDir]
+ * @returns {Promise<{ body: string, payload: object }>} The raw body, sent as-is, and its parsed form
+ */
+export async function loadPayload(source, fixtureDir = FIXTURE_DIR) {
+  let body;
+  try {
+    body = await readFile(source, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err;
+    body = await readFile(join(fixtureDir, `${source}.json`), 'utf-8').catch(async () => {
+      throw new Error(`No file or fixture named ${source} (fixtures: ${(await listFixtures(fixtureDir)).join(', ')})`);
+    });
+  }
+  try {
+    return { body, payload: JSON.parse(body) };
+  } catch (err) {
+    throw new Error(`${source} is not JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Guess the x-github-event of a payload from its shape.
+ * @param {object} payload
+ * @returns {string|undefined} `issues`, `issue_comment` or `pull_request`
+ */
+export function inferEvent(payload) {
+  if (payload?.comment && payload.issue) return 'issue_comment';
+  if (payload?.pull_request) return 'pull_request';
+  if (payload?.issue) return 'issues';
+  return undefined;
+}
+
+/**
+ * Headers GitHub sends with a delivery, signed with `secret`.
+ * @param {string} body
+ * @param {string} event
+ * @param {string} [secret] - Defaults to GITHUB_WEBHOOK_SECRET
+ * @returns {Record<string, string>}
+ */
+export function webhookHeaders(body, event, secret) {
+  return {
+    'content-type': 'application/json',
+    'x-github-event': event,
+    'x-github-delivery': randomUUID(),
+    'x-hub-signature-256': signWebhookPayload(body, secret),
+  };
+}
+
+/**
+ * Post a signed payload to a running server. Triage happens in the
+ * background there, so only the webhook response comes back; the decision
+ * is in the server's log and `GET /issues/:owner/:name/:number/history`.
+ * @param {string} url - The server's /webhook URL
+ * @param {{ body: string, event: string, secret?: string }} delivery
+ * @returns {Promise<{ status: number, response: object|string }>}
+ */
+export async function postWebhook(url, { body, event, secret }) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: webhookHeaders(body, event, secret),
+    body,
+    signal: AbortSignal.timeout(30_000),
+  });
+  const text = await res.text();
+  try {
+    return { status: res.status, response: JSON.parse(text) };
+  } catch {
+    return { status: res.status, response: text };
+  }
+}
+
+/** Notifier function → how its message is formatted */
+const NOTIFICATIONS = {
+  notifyNewIssue: formatNewIssueMessage,
+  notifyRalphSpawned: formatRalphSpawnedMessage,
+  notifyRunUpdate: formatRunUpdateMessage,
+  notifyPullRequest: formatPullRequestMessage,
+};
+
+/**
+ * Deps that record what the pipeline sends, renders and spawns, then pass
+ * it on to the real deps, or, in a dry run, stop there. A dry run never asks
+ * the model: without `analysis` the issue gets the degraded fallback
+ * analysis and a plain notification.
+ * @param {ReplayReport} report - Filled in as the deps are called
+ * @param {{ dryRun: boolean, analysis?: object }} options
+ * @returns {Partial<import('./pipeline.js').PipelineDeps>}
+ */
+function replayDeps(report, { dryRun, analysis }) {
+  const { analyzer, notifier, spawner, clarifier, github, telegram } = defaultDeps;
+  // Record the call, then make it for real unless this is a dry run
+  const capture = (record, live, stubbed) => async (...args) => {
+    record(...args);
+    return dryRun ? stubbed : live(...args);
+  };
+
+  return {
+    analyzer: analysis || dryRun
+      ? { analyzeIssue: async () => analysis || fallbackAnalysis('dry run without --analysis'), determineAction: analyzer.determineAction }
+      : analyzer,
+    notifier: Object.fromEntries(Object.entries(NOTIFICATIONS).map(([name, format]) => [name, capture(
+      (...args) => {
+        const message = format(...args);
+        report.notifications.push({ kind: message.kind, text: renderText(message) });
+      },
+      notifier[name],
+    )])),
+    // The real spawner also adds the issue's comments and references to the prompt
+    spawner: {
+      spawnRalph: capture(
+        (repo, number, issue, extras) => report.prompts.push({ repo, number, ...renderPrompt(repo, number, issue, extras) }),
+        spawner.spawnRalph,
+      ),
+      cancelRalph: capture((repo, number) => report.cancels.push({ repo, number }), spawner.cancelRalph),
+    },
+    clarifier: {
+      postClarification: capture(
+        (repo, number, questions) => report.comments.push({ repo, number, body: formatClarificationComment(questions) }),
+        clarifier.postClarification,
+        { posted: true },
+      ),
+    },
+    github: {
+      ...github,
+      postComment: capture((repo, number, body) => report.comments.push({ repo, number, body }), github.postComment),
+    },
+    telegram: dryRun
+      ? { sendMessage: async () => {}, editMessage: async () => {}, answerCallback: async () => {} }
+      : telegram,
+  };
+}
+
+/**
+ * Run a payload through `buildServer()` with a throwaway in-memory store,
+ * wait for the background work it started, and report what it did. The
+ * payload is signed with GITHUB_WEBHOOK_SECRET, which must be set.
+ * @param {{ body: string, event: string }} delivery
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Stub the analyzer, notifier, spawner, clarifier and GitHub comments
+ * @param {object} [options.analysis] - Use this analysis instead of asking the model
+ * @returns {Promise<ReplayReport>}
+ */
+export async function replayInProcess({ body, event }, { dryRun = false, analysis } = {}) {
+  const report = { notifications: [], prompts: [], comments: [], cancels: [] };
+  const store = createMemoryStore();
+  const app = buildServer({ store, deps: replayDeps(report, { dryRun, analysis }) });
+  try {
+    await app.ready();
+    const res = await app.inject({ method: 'POST', url: '/webhook', headers: webhookHeaders(body, event), payload: body });
+    await app.idle();
+    const triage = (await store.readLog('audit')).filter(entry => entry.type === 'triage');
+    return { status: res.statusCode, response: res.json(), triage, ...report };
+  } finally {
+    await app.close();
+  }
+}
+
+const indent = text => text.split('\n').map(line => `  ${line}`).join('\n');
+
+/**
+ * Render a replay report for the terminal.
+ * @param {string} event
+ * @param {Partial<ReplayReport>} report
+ * @returns {string}
+ */
+export function formatReport(event, report) {
+  const response = typeof report.response === 'string' ? report.response : JSON.stringify(report.response);
+  const sections = [`${event} → ${report.status} ${response}`];
+
+  for (const triage of report.triage || []) {
+    const confidence = triage.confidence === undefined ? '?' : `${Math.round(triage.confidence * 100)}%`;
+    sections.push([
+      `Triage of ${triage.repo}#${triage.number}: ${triage.action || 'no decision'}${triage.reason ? ` (${triage.reason})` : ''}`,
+      indent([
+        `${triage.issueType} · ${triage.severity} · ${confidence} confidence${triage.degraded ? ' (degraded)' : ''}`,
+        ...(triage.reasoning ? [triage.reasoning] : []),
+        ...(triage.injection ? [`Possible prompt injection: ${triage.injection.join(', ')}`] : []),
+        `Steps: ${triage.steps.map(s => `${s.step} ${s.status}${s.error ? ` (${s.error})` : ''}`).join(', ')}`,
+      ].join('\n')),
+    ].join('\n'));
+  }
+  for (const { kind, text } of report.notifications || []) {
+    sections.push(`Notification (${kind}):\n${indent(text)}`);
+  }
+  for (const { repo, number, template, prompt } of report.prompts || []) {
+    sections.push(`Ralph prompt for ${repo}#${number} (${template}):\n${indent(prompt)}`);
+  }
+  for (const { repo, number, body } of report.comments || []) {
+    sections.push(`Comment on ${repo}#${number}:\n${indent(body)}`);
+  }
+  for (const { repo, number } of report.cancels || []) {
+    sections.push(`Cancelled Ralph for ${repo}#${number}`);
+  }
+  return sections.join('\n\n');
+}
@@ -0,0 +1,371 @@
+import { readFileSync, watch } from 'node:fs';
+import { basename, dirname, extname, join } from 'node:path';
+import YAML from 'yaml';
+import { env } from './config.js';
+import { CHANNEL_TYPES } from './channels.js';
+import { EXECUTOR_TYPES } from './executors.js';
+import { ASSOCIATION_RANK } from './security.js';
+
+/** @typedef {Object} RepoConfig
+ * @property {boolean} enabled
+ * @property {string} projectDir
+ * @property {boolean} autoSpawnEnabled - Allow Ralph to be spawned without a /ralph comment
+ * @property {'high'|'medium'|'low'} priority
+ * @property {RegExp[]} noAutoFixPatterns - Matched against issue title + body; any hit blocks auto-fix
+ * @property {CommandAuth} commandAuth - Who may run /ralph and /triage
+ * @property {import('./channels.js').ChannelConfig[]} channels - Where notifications for this repo go
+ * @property {IssueEvents} issueEvents - How issues edited/reopened/labeled/closed events are handled
+ * @property {import('./executors.js').ExecutorConfig} [executor] - How Ralph is run; defaults to RALPH_EXECUTOR
+ * @property {string} [context] - Extra background included in the analysis prompt
+ * @property {number} [installationId] - GitHub App installation for the repo's owner; events from any other installation are rejected
+ */
+
+/** @typedef {Object} CommandAuth
+ * @property {string[]} allowedUsers - Logins always allowed, regardless of association
+ * @property {string|null} minAssociation - Lowest author_association allowed (e.g. COLLABORATOR); null = allow-list only
+ * @property {boolean} replyOnReject - Explain refusals in an issue comment; off by default so outsiders can't make the bot reply
+ * @property {Record<string, string>} telegramUsers - Telegram username or user ID → GitHub login, for button presses
+ */
+
+/** @typedef {Object} IssueEvents
+ * @property {boolean} retriageOnEdit - Re-triage when the body changes materially
+ * @property {number} minEditWords - Words added + removed for an edit to count as material
+ * @property {boolean} retriageOnReopen
+ * @property {number} retriageCooldownMinutes - Edits and reopens within this long of the last re-triage are ignored; 0 disables
+ * @property {string[]} spawnLabels - Applying one of these spawns Ralph (like /ralph)
+ * @property {string[]} triageLabels - Applying one of these re-triages (like /triage)
+ * @property {boolean} cancelOnClose - Cancel Ralph and queued spawns when the issue is closed
+ */
+
+/** Issues matching any of these are never auto-fixed */
+export const defaultNoAutoFixPatterns = [
+  /security/i,
+  /credentials/i,
+  /database.*migration/i,
+  /breaking.*change/i,
+];
+
+/** Only people with write access (or org members) may trigger Ralph */
+export const defaultCommandAuth = {
+  allowedUsers: [],
+  minAssociation: 'COLLABORATOR',
+  replyOnReject: false,
+  telegramUsers: {},
+};
+
+/** Notification channels used unless a repo lists its own */
+export const defaultChannels = [{ type: 'telegram' }];
+
+/** Labels can only be applied by people with triage access, so they need no extra authorization */
+export const defaultIssueEvents = {
+  retriageOnEdit: true,
+  minEditWords: 10,
+  retriageOnReopen: true,
+  retriageCooldownMinutes: 60,
+  spawnLabels: ['ralph'],
+  triageLabels: ['needs-triage'],
+  cancelOnClose: true,
+};
+
+/** Settings a listed repo gets unless the file's `defaults` or its own entry say otherwise */
+const builtinDefaults = {
+  enabled: true,
+  projectDir: '',
+  autoSpawnEnabled: true,
+  priority: 'medium',
+  noAutoFixPatterns: defaultNoAutoFixPatterns,
+  commandAuth: defaultCommandAuth,
+  channels: defaultChannels,
+  issueEvents: defaultIssueEvents,
+};
+
+// Checks push `path: problem` for everything wrong with a value, so one run reports every mistake
+
+const rule = (test, problem) => (value, path, problems) => {
+  if (!test(value)) problems.push(`${path}: ${problem}`);
+};
+const bool = rule(v => typeof v === 'boolean', 'must be true or false');
+const text = rule(v => typeof v === 'string' && v.trim() !== '', 'must be a non-empty string');
+const wholeNumber = rule(v => Number.isInteger(v) && v >= 0, 'must be a whole number ≥ 0');
+const oneOf = (values) => rule(v => values.includes(v), `must be one of ${values.join(', ')}`);
+const nullable = (check) => (value, path, problems) => value === null || check(value, path, problems);
+const isMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const at = (path, key) => (path ? `${path}.${key}` : key);
+
+const listOf = (check) => (value, path, problems) => {
+  if (!Array.isArray(value)) return problems.push(`${path}: must be a list`);
+  value.forEach((item, i) => check(item, `${path}[${i}]`, problems));
+};
+
+const shape = (fields, required = []) => (value, path, problems) => {
+  if (!isMapping(value)) return problems.push(`${path || 'file'}: must be a mapping`);
+  for (const key of required) {
+    if (value[key] === undefined) problems.push(`${at(path, key)}: is required`);
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (fields[key]) fields[key](item, at(path, key), problems);
+    else problems.push(`${at(path, key)}: unknown setting`);
+  }
+};
+
+const pattern = (value, path, problems) => {
+  if (typeof value !== 'string' || !value) return problems.push(`${path}: must be a regular expression string`);
+  try {
+    new RegExp(value, 'i');
+  } catch (err) {
+    problems.push(`${path}: ${err.message}`);
+  }
+};
+
+const loginsByTelegramUser = (value, path, problems) => {
+  if (!isMapping(value)) return problems.push(`${path}: must be a mapping of Telegram user to GitHub login`);
+  for (const [user, login] of Object.entries(value)) text(login, at(path, user), problems);
+};
+
+const REPO_SETTINGS = {
+  enabled: bool,
+  autoSpawnEnabled: bool,
+  priority: oneOf(['high', 'medium', 'low']),
+  noAutoFixPatterns: listOf(pattern),
+  commandAuth: shape({
+    allowedUsers: listOf(text),
+    minAssociation: nullable(oneOf(ASSOCIATION_RANK)),
+    replyOnReject: bool,
+    telegramUsers: loginsByTelegramUser,
+  }),
+  channels: listOf(shape({ type: oneOf(CHANNEL_TYPES), chatId: text, url: text, urlEnv: text }, ['type'])),
+  issueEvents: shape({
+    retriageOnEdit: bool,
+    minEditWords: wholeNumber,
+    retriageOnReopen: bool,
+    retriageCooldownMinutes: wholeNumber,
+    spawnLabels: listOf(text),
+    triageLabels: listOf(text),
+    cancelOnClose: bool,
+  }),
+  executor: shape({ type: oneOf(EXECUTOR_TYPES), container: text, script: text, cwd: text }, ['type']),
+  context: text,
+};
+
+const OWNER_NAME = /^[\w-]+$/;
+const REPO_NAME = /^[\w-]+\/[\w.-]+$/;
+
+/** A mapping whose keys must match `name` and whose values (possibly empty) are checked by `check` */
+const mappingOf = (name, what, check) => (value, path, problems) => {
+  if (!isMapping(value)) return problems.push(`${path}: must be a mapping of ${what} to settings`);
+  for (const [key, settings] of Object.entries(value)) {
+    if (!name.test(key)) problems.push(`${at(path, key)}: not a valid ${what}`);
+    // `atriumn/ovrly:` with nothing under it takes every default
+    if (settings !== null) check(settings, at(path, key), problems);
+  }
+};
+
+const checkFile = shape({
+  defaults: shape({ ...REPO_SETTINGS, projectRoot: text }),
+  owners: mappingOf(OWNER_NAME, 'owner', shape({
+    ...REPO_SETTINGS,
+    projectRoot: text,
+    installationId: rule(v => Number.isInteger(v) && v > 0, 'must be a GitHub App installation ID'),
+  })),
+  repos: mappingOf(REPO_NAME, 'owner/name', shape({ ...REPO_SETTINGS, projectDir: text })),
+}, ['repos']);
+
+/**
+ * Layer validated settings over a base config. commandAuth and issueEvents
+ * merge key by key; everything else replaces.
+ * @param {RepoConfig} base
+ * @param {object} settings
+ * @returns {RepoConfig}
+ */
+function applySettings(base, settings) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'noAutoFixPatterns') result[key] = value.map(source => new RegExp(source, 'i'));
+    else if (key === 'commandAuth' || key === 'issueEvents') result[key] = { ...base[key], ...value };
+    else result[key] = value;
+  }
+  return result;
+}
+
+/** @typedef {Object} ResolvedRepoConfig
+ * @property {RepoConfig} defaults - For repos of owners without an `owners` entry
+ * @property {Record<string, RepoConfig>} owners - Owner login → settings for its repos
+ * @property {Record<string, RepoConfig>} repos - `owner/name` → settings
+ */
+
+/**
+ * Parse and validate a repo config file:
+ *
+ *     defaults:            # optional, applies to every repo
+ *       projectRoot: /srv/projects
+ *       priority: medium
+ *     owners:              # optional, per org or GitHub App installation
+ *       clientco: { installationId: 123456, channels: [{ type: slack, urlEnv: CLIENTCO_SLACK_URL }] }
+ *     repos:
+ *       atriumn/idynic: { priority: high }
+ *       clientco/api:
+ *
+ * Repos are keyed by full name and take the built-in defaults, then
+ * `defaults`, then their owner's settings, then their own. A repo's
+ * projectDir defaults to `<projectRoot>/<name>`. Patterns are regular
+ * expression strings, matched case-insensitively. Throws with `problems`
+ * listing every error found.
+ * @param {string} source
+ * @param {'yaml'|'json'} [format]
+ * @returns {ResolvedRepoConfig}
+ */
+export function parseRepoConfig(source, format = 'yaml') {
+  let data;
+  try {
+    data = format === 'json' ? JSON.parse(source) : YAML.parse(source);
+  } catch (err) {
+    throw Object.assign(new Error(`Invalid repo config: ${err.message}`), { problems: [err.message] });
+  }
+
+  const problems = [];
+  checkFile(data, '', problems);
+  if (problems.length) {
+    throw Object.assign(new Error(`Invalid repo config: ${problems.join('; ')}`), { problems });
+  }
+
+  const defaults = applySettings(builtinDefaults, data.defaults || {});
+  const owners = {};
+  for (const [owner, settings] of Object.entries(data.owners || {})) {
+    owners[owner.toLowerCase()] = applySettings(defaults, settings || {});
+  }
+
+  const repos = {};
+  for (const [fullName, settings] of Object.entries(data.repos)) {
+    const [owner, name] = fullName.split('/');
+    const { projectRoot, ...repo } = applySettings(owners[owner.toLowerCase()] || defaults, settings || {});
+    if (!repo.projectDir && projectRoot) repo.projectDir = join(projectRoot, name);
+    repos[fullName] = repo;
+  }
+  delete defaults.projectRoot;
+  for (const owner of Object.values(owners)) delete owner.projectRoot;
+  return { defaults, owners, repos };
+}
+
+/** The config in use; replaced wholesale on reload, so a request never sees half of one */
+let current = null;
+
+/** Lower-cased full name → `enabled` set at runtime (admin API); kept across reloads */
+const enabledOverrides = new Map();
+
+/**
+ * Read, validate and switch to a repo config file. On any problem the
+ * config in use is kept and the error lists every problem in the file.
+ * @param {string} [path] - Defaults to REPO_CONFIG_FILE
+ * @returns {string[]} Names of the configured repos
+ */
+export function loadRepoConfig(path = env.repoConfigFile) {
+  const fail = (problems) => {
+    throw Object.assign(new Error(`Invalid repo config in ${path}:\n${problems.map(p => `- ${p}`).join('\n')}`), { problems });
+  };
+  const ext = extname(path).toLowerCase();
+  if (!['.yaml', '.yml', '.json'].includes(ext)) fail(['file name must end in .yaml, .yml or .json']);
+
+  let source;
+  try {
+    source = readFileSync(path, 'utf-8');
+  } catch (err) {
+    fail([`cannot read the file: ${err.message}`]);
+  }
+  try {
+    current = parseRepoConfig(source, ext === '.json' ? 'json' : 'yaml');
+  } catch (err) {
+    fail(err.problems);
+  }
+  return Object.keys(current.repos);
+}
+
+/**
+ * Call `onChange` when the repo config file is written or replaced.
+ * The directory is watched, since editors often save by renaming a new
+ * file over the old one; bursts of events are collapsed into one call.
+ * @param {() => void} onChange
+ * @param {{ path?: string, debounceMs?: number }} [options]
+ * @returns {{ close: () => void }}
+ */
+export function watchRepoConfig(onChange, { path = env.repoConfigFile, debounceMs = 250 } = {}) {
+  const file = basename(path);
+  let timer = null;
+  const watcher = watch(dirname(path), (event, filename) => {
+    if (filename !== file) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+  watcher.unref();
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+}
+
+function currentConfig() {
+  if (!current) loadRepoConfig();
+  return current;
+}
+
+/**
+ * Full names of the configured repos, enabled or not.
+ * @returns {string[]}
+ */
+export function repoNames() {
+  return Object.keys(currentConfig().repos);
+}
+
+/**
+ * Get config for a repo, falling back to disabled defaults (its owner's,
+ * if the owner is configured). Names match case-insensitively, as on GitHub.
+ * @param {string} repoName - Full name, `owner/name`
+ * @returns {RepoConfig}
+ */
+export function getRepoConfig(repoName) {
+  const { defaults, owners, repos } = currentConfig();
+  const key = repoName.toLowerCase();
+  const match = Object.keys(repos).find(name => name.toLowerCase() === key);
+  if (match) {
+    return enabledOverrides.has(key) ? { ...repos[match], enabled: enabledOverrides.get(key) } : repos[match];
+  }
+  return {
+    ...(owners[key.split('/')[0]] || defaults),
+    enabled: false,
+    projectDir: '',
+    autoSpawnEnabled: false,
+    priority: 'low',
+  };
+}
+
+/**
+ * Enable or disable a configured repo without editing the config file. The
+ * override outlasts reloads; setting it back to the file's value drops it.
+ * @param {string} repoName - Full name
+ * @param {boolean} enabled
+ * @returns {boolean} Whether the repo is now overridden
+ */
+export function setRepoEnabled(repoName, enabled) {
+  const key = repoName.toLowerCase();
+  const match = Object.keys(currentConfig().repos).find(name => name.toLowerCase() === key);
+  if (match && current.repos[match].enabled === enabled) {
+    enabledOverrides.delete(key);
+    return false;
+  }
+  enabledOverrides.set(key, enabled);
+  return true;
+}
+
+/**
+ * Runtime overrides in effect, by lower-cased full name.
+ * @returns {Record<string, boolean>}
+ */
+export function repoOverrides() {
+  return Object.fromEntries(enabledOverrides);
+}
+
+/** Drop every runtime override (tests) */
+export function clearRepoOverrides() {
+  enabledOverrides.clear();
+}
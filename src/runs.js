@@ -0,0 +1,177 @@
+/** Run states, in lifecycle order */
+export const RUN_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/** States a run never leaves (a new spawn starts a new run) */
+export const TERMINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/** Allowed transitions; staying in the same state records progress */
+const TRANSITIONS = {
+  queued: ['queued', 'running', 'failed', 'cancelled'],
+  running: ['running', 'succeeded', 'failed', 'cancelled'],
+  succeeded: [],
+  failed: [],
+  cancelled: [],
+};
+
+/** @typedef {Object} Run
+ * @property {string} session - `owner~name-number`, shared with ralph-spawn.sh
+ * @property {string} repo - Full name
+ * @property {number} number
+ * @property {string} [title]
+ * @property {string} [url] - The issue on GitHub
+ * @property {'queued'|'running'|'succeeded'|'failed'|'cancelled'} state
+ * @property {string} [message] - Latest progress or failure message
+ * @property {string} [prUrl]
+ * @property {PullRequestLink} [pr] - Latest PR linked to the run
+ * @property {'auto'|'command'} [trigger] - Auto-spawned by triage or requested with /ralph
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {Array<{ state: string, at: string, message?: string }>} history
+ */
+
+/** @typedef {Object} PullRequestLink
+ * @property {number} number
+ * @property {string} url
+ * @property {string} [title]
+ * @property {'open'|'merged'|'closed'} state
+ */
+
+/**
+ * Session ID for an issue's Ralph run, e.g. atriumn~idynic-784. `~` can't
+ * appear in owner or repo names, so `a-b/c` and `a/b-c` stay apart.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {string}
+ */
+export function sessionId(repo, number) {
+  return `${repo.replace('/', '~')}-${number}`;
+}
+
+/**
+ * Tracks Ralph runs in the `runs` namespace of the state store. One run per
+ * session; spawning again after a run finished replaces it.
+ * @param {import('./state.js').StateStore} store
+ * @param {object} [options]
+ * @param {(run: Run, previous: string|null) => void} [options.onChange] - Called on every state change
+ */
+export function createRunRegistry(store, { onChange = () => {} } = {}) {
+  const save = (run, previous) => {
+    store.set('runs', run.session, run);
+    if (run.state !== previous) onChange(run, previous);
+    return run;
+  };
+
+  return {
+    /**
+     * Record a spawn request. An active run for the session is kept as is.
+     * @param {string} repo
+     * @param {number} number
+     * @param {{ title?: string, url?: string, trigger?: 'auto'|'command' }} [details]
+     * @returns {Run}
+     */
+    start(repo, number, { title, url, trigger } = {}) {
+      const session = sessionId(repo, number);
+      const existing = store.get('runs', session);
+      if (existing && !TERMINAL_STATES.includes(existing.state)) return existing;
+
+      const now = new Date().toISOString();
+      return save({
+        session, repo, number, title, url, trigger, state: 'queued', createdAt: now, updatedAt: now,
+        history: [{ state: 'queued', at: now }],
+      }, null);
+    },
+
+    /**
+     * Move a run to a new state, or record progress when the state is unchanged.
+     * Throws (with `code`) for unknown states and disallowed transitions.
+     * @param {string} session
+     * @param {string} state
+     * @param {{ message?: string, prUrl?: string }} [details]
+     * @returns {Run|null} Null if there is no run for the session
+     */
+    transition(session, state, { message, prUrl } = {}) {
+      const run = store.get('runs', session);
+      if (!run) return null;
+
+      if (!RUN_STATES.includes(state)) {
+        const err = new Error(`Unknown run state: ${state}`);
+        err.code = 'INVALID_STATE';
+        throw err;
+      }
+      if (!TRANSITIONS[run.state].includes(state)) {
+        const err = new Error(`Run ${session} cannot go from ${run.state} to ${state}`);
+        err.code = 'INVALID_TRANSITION';
+        throw err;
+      }
+
+      const at = new Date().toISOString();
+      const entry = { state, at, ...(message && { message }) };
+      return save({
+        ...run,
+        state,
+        message: message ?? run.message,
+        prUrl: prUrl ?? run.prUrl,
+        updatedAt: at,
+        history: [...run.history, entry],
+      }, run.state);
+    },
+
+    /**
+     * Record a pull request for the run. Doesn't change the run's state.
+     * @param {string} session
+     * @param {PullRequestLink} pr
+     * @returns {Run|null} Null if there is no run for the session
+     */
+    linkPullRequest(session, pr) {
+      const run = store.get('runs', session);
+      if (!run) return null;
+
+      const at = new Date().toISOString();
+      const updated = {
+        ...run,
+        pr,
+        prUrl: pr.url,
+        updatedAt: at,
+        history: [...run.history, { state: run.state, at, message: `PR #${pr.number} ${pr.state}` }],
+      };
+      store.set('runs', session, updated);
+      return updated;
+    },
+
+    /**
+     * @param {string} session
+     * @returns {Run|undefined}
+     */
+    get(session) {
+      return store.get('runs', session);
+    },
+
+    /** @returns {Run[]} Most recently updated first */
+    list() {
+      return store.entries('runs')
+        .map(([, run]) => run)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+  };
+}
+
+/**
+ * Issue comment announcing that a run finished.
+ * @param {Run} run
+ * @returns {string}
+ */
+export function formatRunComment(run) {
+  const detail = run.message ? `\n\n> ${run.message.split('\n').join('\n> ')}` : '';
+  switch (run.state) {
+    case 'succeeded':
+      return run.prUrl
+        ? `Ralph finished and opened ${run.prUrl}.${detail}`
+        : `Ralph finished working on this issue.${detail}`;
+    case 'failed':
+      return `Ralph's run failed.${detail}\n\nComment \`/ralph retry\` to try again.`;
+    case 'cancelled':
+      return `Ralph's session for this issue was cancelled.${detail}`;
+    default:
+      return `Ralph is ${run.state}.${detail}`;
+  }
+}
@@ -0,0 +1,129 @@
+/** @typedef {Object} InjectionFinding
+ * @property {string} rule - Which detector fired, e.g. ignore-instructions
+ * @property {string} excerpt - The matching text, shortened
+ */
+
+/**
+ * Phrases that try to steer an AI agent rather than describe a problem.
+ * Tuned to catch the common forms; a hit only means a human has to confirm
+ * the spawn with /ralph force. Words that also turn up in bug reports
+ * (`System: Windows 11`, "the system message", `curl ... | sh` installers)
+ * only count when they are addressed to the agent.
+ */
+const INJECTION_RULES = [
+  ['ignore-instructions', /\b(?:ignore|disregard|forget|override)\b[^.\n]{0,40}\b(?:previous|prior|above|earlier|all|any|your|the)\b[^.\n]{0,20}\b(?:instructions?|prompts?|rules|directions|guidelines)\b/i],
+  ['role-override', /\byou are now (?:an?|the|in|my)\b|\byou are no longer (?:an?|the|bound|restricted|limited)\b|\bfrom now on,? you\b|\bpretend (?:to be|you are)\b|\bact as (?:an?|the) (?:unrestricted|jailbroken|different)\b/i],
+  ['system-prompt', /\b(?:ignore|disregard|reveal|print|show|repeat|override|replace|bypass|leak)\b[^.\n]{0,20}\byour (?:system|developer|initial|original) (?:prompt|message|instructions?)\b|\b(?:new|updated|real) (?:system )?instructions\s*:/i],
+  ['chat-markup', /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<\/?(?:system|assistant)>|^\s*(?:system|assistant)\s*:\s*(?:you (?:are|must|will|should|have to)|ignore|disregard|forget|from now on)\b/im],
+  ['secret-exfiltration', /\b(?:print|reveal|send|post|upload|leak|exfiltrate|echo|cat)\b[^.\n]{0,40}(?:\benv(?:ironment)? var(?:iable)?s\b|\bsecrets\b|\bcredentials\b|\bapi keys\b|\.env\b|~\/\.ssh|\$\w*(?:TOKEN|KEY|SECRET)\b)/i],
+  ['remote-script', /\b(?:you (?:must|should|need to)|before (?:fixing|you|making|opening)\b[^,\n]{0,30},?|make sure (?:to|you)|first,?|also)\s+(?:run|execute)\b[^\n]{0,20}\b(?:curl|wget)\b[^\n|]{0,200}\|\s*(?:sudo\s+)?(?:ba|z)?sh\b/i],
+  ['bidi-control', /[\u202A-\u202E\u2066-\u2069]/],
+];
+
+/** Things that look like credentials, most specific first */
+const SECRET_RULES = [
+  ['private-key', /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g],
+  ['github-token', /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g],
+  ['anthropic-key', /\bsk-ant-[A-Za-z0-9_-]{20,}/g],
+  ['openai-key', /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g],
+  ['aws-access-key', /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g],
+  ['slack-token', /\bxox[abposr]-[A-Za-z0-9-]{10,}/g],
+  ['telegram-bot-token', /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/g],
+  ['jwt', /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g],
+  ['url-password', /(?<=:\/\/[^\s/:@]+:)[^\s/@]+(?=@)/g],
+];
+
+// `password = hunter2...` style assignments; the name is kept, the value redacted
+const SECRET_ASSIGNMENT = /\b((?:api[_-]?key|secret|token|password|passwd)\s*[:=]\s*)(['"]?)(?!\[REDACTED)[^\s'"]{8,}\2/gi;
+
+// Invisible or direction-changing characters, and HTML comments (hidden when GitHub renders the issue)
+const HIDDEN = /<!--[\s\S]*?-->|[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+/**
+ * Look for likely prompt injection in untrusted text.
+ * @param {string} text
+ * @returns {InjectionFinding[]} One per rule that matched
+ */
+export function detectInjection(text) {
+  const findings = [];
+  for (const [rule, pattern] of INJECTION_RULES) {
+    const match = (text || '').match(pattern);
+    if (!match) continue;
+    const excerpt = match[0].trim().replace(/\s+/g, ' ');
+    findings.push({ rule, excerpt: excerpt.length > 60 ? `${excerpt.slice(0, 57)}...` : excerpt });
+  }
+  return findings;
+}
+
+/**
+ * Check an issue's title and body for prompt injection.
+ * @param {{ title?: string, body?: string|null }} issue
+ * @returns {InjectionFinding[]}
+ */
+export function detectIssueInjection(issue) {
+  return detectInjection(`${issue?.title || ''}\n${issue?.body || ''}`);
+}
+
+/**
+ * Check the comment thread and referenced issues gathered for Ralph's prompt
+ * for prompt injection, as detectIssueInjection does for the issue itself.
+ * @param {import('./context.js').IssueContext} context
+ * @returns {InjectionFinding[]}
+ */
+export function detectContextInjection(context) {
+  return detectInjection(`${context?.comments || ''}\n${context?.references || ''}`);
+}
+
+/**
+ * Short description of findings for logs, comments and notifications.
+ * @param {InjectionFinding[]} findings
+ * @returns {string}
+ */
+export function describeFindings(findings) {
+  return findings.map(f => `${f.rule}: "${f.excerpt}"`).join('; ');
+}
+
+/**
+ * Replace anything that looks like a token, key or password with a
+ * `[REDACTED <kind>]` marker.
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+  let result = text || '';
+  for (const [kind, pattern] of SECRET_RULES) {
+    result = result.replace(pattern, `[REDACTED ${kind}]`);
+  }
+  return result.replace(SECRET_ASSIGNMENT, '$1$2[REDACTED]$2');
+}
+
+/**
+ * Remove text a reader of the rendered issue can't see.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripHidden(text) {
+  return (text || '').replace(HIDDEN, '');
+}
+
+/**
+ * Wrap untrusted text in an `untrusted` code fence longer than any backtick
+ * run inside it, so the text can't close the fence and escape.
+ * @param {string} text
+ * @returns {string}
+ */
+export function fenceUntrusted(text) {
+  const longest = Math.max(2, ...[...text.matchAll(/`+/g)].map(m => m[0].length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}untrusted\n${text}\n${fence}`;
+}
+
+/**
+ * Clean untrusted text for display or a prompt: hidden text stripped,
+ * secrets redacted.
+ * @param {string} text
+ * @returns {string}
+ */
+export function sanitizeText(text) {
+  return redactSecrets(stripHidden(text));
+}
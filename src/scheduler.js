@@ -0,0 +1,165 @@
+import { sessionId } from './runs.js';
+
+/** Repo priorities, highest first; spawns from higher-priority repos leave the queue first */
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/** @typedef {Object} SpawnJob
+ * @property {string} repo
+ * @property {number} number
+ * @property {object} issue
+ * @property {object} [extras]
+ * @property {'auto'|'command'} [trigger]
+ */
+
+/** @typedef {Object} Placement
+ * @property {boolean} started - False if the job is waiting for a slot
+ * @property {number} [position] - 1-based place in the queue when waiting
+ */
+
+/**
+ * Concurrency limits and a priority FIFO queue for Ralph spawns. Slots
+ * (`spawnSlots` namespace) and waiting jobs (`spawnQueue` namespace) live in
+ * the state store, so running sessions keep their slot and queued jobs are
+ * not lost across restarts.
+ *
+ * A slot is taken when a job starts and held until `release(session)`; slots
+ * older than `slotTimeoutMs` are reclaimed in case a release never comes.
+ * @param {import('./state.js').StateStore} store
+ * @param {object} options
+ * @param {() => { global: number, perRepo: number }} options.limits - Read on every check so env changes apply
+ * @param {(repo: string) => string} options.priorityOf - One of PRIORITIES
+ * @param {(job: SpawnJob) => void} options.start - Runs a job that got a slot
+ * @param {(job: SpawnJob, position: number) => void} [options.onQueued] - Called when submit() has to queue a job
+ * @param {number} [options.slotTimeoutMs]
+ * @param {(level: string, msg: string, data: object) => void} [options.log]
+ */
+export function createSpawnScheduler(store, options) {
+  const { limits, priorityOf, start, slotTimeoutMs = 2 * 60 * 60 * 1000 } = options;
+  const log = options.log || (() => {});
+  const onQueued = options.onQueued || (() => {});
+  let seq = Math.max(0, ...store.entries('spawnQueue').map(([, entry]) => entry.seq));
+
+  const expireSlots = () => {
+    const cutoff = Date.now() - slotTimeoutMs;
+    for (const [session, slot] of store.entries('spawnSlots')) {
+      if (slot.since < cutoff) {
+        store.delete('spawnSlots', session);
+        log('info', 'Spawn slot expired', { session });
+      }
+    }
+  };
+
+  const rank = entry => PRIORITIES.indexOf(entry.priority);
+
+  /** Waiting entries in the order they will start */
+  const ordered = () => store.entries('spawnQueue')
+    .map(([, entry]) => entry)
+    .sort((a, b) => rank(a) - rank(b) || a.seq - b.seq);
+
+  const hasCapacity = (repo) => {
+    const { global, perRepo } = limits();
+    const slots = store.entries('spawnSlots').map(([, slot]) => slot);
+    return slots.length < global && slots.filter(slot => slot.repo === repo).length < perRepo;
+  };
+
+  const scheduler = {
+    /**
+     * Take a slot for a job if one is free. A session that already holds a
+     * slot (e.g. /ralph retry) keeps it.
+     * @param {SpawnJob} job
+     * @returns {boolean}
+     */
+    acquire(job) {
+      const session = sessionId(job.repo, job.number);
+      expireSlots();
+      if (!store.get('spawnSlots', session) && !hasCapacity(job.repo)) return false;
+      store.set('spawnSlots', session, { repo: job.repo, since: Date.now() });
+      return true;
+    },
+
+    /**
+     * Queue a job behind the others. Re-queuing a waiting session replaces its
+     * job but keeps its place.
+     * @param {SpawnJob} job
+     * @returns {number} 1-based position
+     */
+    enqueue(job) {
+      const session = sessionId(job.repo, job.number);
+      const existing = store.get('spawnQueue', session);
+      store.set('spawnQueue', session, {
+        session,
+        job,
+        priority: priorityOf(job.repo),
+        seq: existing?.seq ?? ++seq,
+        enqueuedAt: existing?.enqueuedAt ?? new Date().toISOString(),
+      });
+      return scheduler.position(session);
+    },
+
+    /**
+     * Start a job now if there is a slot, otherwise queue it.
+     * @param {SpawnJob} job
+     * @returns {Placement}
+     */
+    submit(job) {
+      if (scheduler.acquire(job)) {
+        start(job);
+        return { started: true };
+      }
+      const position = scheduler.enqueue(job);
+      log('info', 'Spawn queued', { session: sessionId(job.repo, job.number), position });
+      onQueued(job, position);
+      return { started: false, position };
+    },
+
+    /**
+     * Free a session's slot and start whatever can run now.
+     * @param {string} session
+     */
+    release(session) {
+      if (store.delete('spawnSlots', session)) {
+        log('info', 'Spawn slot released', { session });
+      }
+      scheduler.drain();
+    },
+
+    /** Start waiting jobs, in priority order, while slots are free */
+    drain() {
+      for (const entry of ordered()) {
+        if (!scheduler.acquire(entry.job)) continue;
+        store.delete('spawnQueue', entry.session);
+        log('info', 'Spawn dequeued', { session: entry.session });
+        start(entry.job);
+      }
+    },
+
+    /**
+     * Drop a waiting job.
+     * @param {string} session
+     * @returns {boolean} Whether it was waiting
+     */
+    remove(session) {
+      return store.delete('spawnQueue', session);
+    },
+
+    /**
+     * @param {string} session
+     * @returns {number|null} 1-based position, or null if not waiting
+     */
+    position(session) {
+      const index = ordered().findIndex(entry => entry.session === session);
+      return index === -1 ? null : index + 1;
+    },
+
+    /** @returns {{ active: string[], waiting: Array<{ session: string, priority: string, enqueuedAt: string }> }} */
+    state() {
+      expireSlots();
+      return {
+        active: store.entries('spawnSlots').map(([session]) => session),
+        waiting: ordered().map(({ session, priority, enqueuedAt }) => ({ session, priority, enqueuedAt })),
+      };
+    },
+  };
+
+  return scheduler;
+}
@@ -1,6 +1,16 @@
 import { createHmac, timingSafeEqual } from 'node:crypto';
 import { env } from './config.js';
 
+/**
+ * Sign a webhook body the way GitHub does, for the x-hub-signature-256 header.
+ * @param {Buffer|string} payload - Raw request body
+ * @param {string} [secret] - Defaults to GITHUB_WEBHOOK_SECRET
+ * @returns {string} `sha256=<hex>`
+ */
+export function signWebhookPayload(payload, secret = env.webhookSecret) {
+  return 'sha256=' + createHmac('sha256', secret).update(payload).digest('hex');
+}
+
 /**
  * Verify GitHub webhook HMAC-SHA256 signature.
  * @param {Buffer|string} payload - Raw request body
@@ -16,9 +26,7 @@ export function verifyWebhookSignature(payload, signature) {
     return false;
   }
 
-  const expected = 'sha256=' + createHmac('sha256', env.webhookSecret)
-    .update(payload)
-    .digest('hex');
+  const expected = signWebhookPayload(payload);
 
   if (expected.length !== signature.length) {
     return false;
@@ -26,3 +34,112 @@ export function verifyWebhookSignature(payload, signature) {
 
   return timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
 }
+
+/**
+ * Check an `Authorization: Bearer <token>` header against the expected token
+ * in constant time. Always false when no token is configured.
+ * @param {string|undefined} header
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifyBearerToken(header, token) {
+  if (!header?.startsWith('Bearer ')) {
+    return false;
+  }
+  return verifySecretToken(header.slice(7), token);
+}
+
+/**
+ * Compare a shared secret sent as-is (e.g. Telegram's
+ * `X-Telegram-Bot-Api-Secret-Token` header) in constant time. Always false
+ * when no token is configured.
+ * @param {string|undefined} value
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifySecretToken(value, token) {
+  if (!token || typeof value !== 'string') {
+    return false;
+  }
+
+  const given = Buffer.from(value);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/** Payload objects whose timestamps show when the event happened */
+const TIMESTAMPED_OBJECTS = ['comment', 'issue', 'pull_request', 'review', 'release'];
+
+/**
+ * Most recent created_at/updated_at among the event's subject objects.
+ * GitHub does not sign a delivery timestamp, so this is the best signed
+ * indicator of when the event happened.
+ * @param {object} payload - Parsed webhook body
+ * @returns {number|null} Epoch ms, or null if the payload has no timestamps
+ */
+export function payloadTimestamp(payload) {
+  let latest = null;
+  for (const key of TIMESTAMPED_OBJECTS) {
+    for (const field of ['updated_at', 'created_at']) {
+      const ts = Date.parse(payload?.[key]?.[field]);
+      if (!Number.isNaN(ts) && (latest === null || ts > latest)) latest = ts;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Check whether a signed payload is too old to accept (replay protection).
+ * @param {object} payload
+ * @param {number} maxAgeSeconds - 0 disables the check
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isStalePayload(payload, maxAgeSeconds, now = Date.now()) {
+  if (!maxAgeSeconds) return false;
+  const ts = payloadTimestamp(payload);
+  if (ts === null) return false;
+  return now - ts > maxAgeSeconds * 1000;
+}
+
+/** GitHub author_association values, lowest to highest */
+export const ASSOCIATION_RANK = [
+  'NONE',
+  'MANNEQUIN',
+  'FIRST_TIMER',
+  'FIRST_TIME_CONTRIBUTOR',
+  'CONTRIBUTOR',
+  'COLLABORATOR',
+  'MEMBER',
+  'OWNER',
+];
+
+/**
+ * Check whether a commenter may run commands on a repo.
+ * @param {object} comment - issue_comment payload `comment` (user.login, author_association)
+ * @param {import('./repos.js').CommandAuth} auth
+ * @returns {{ allowed: boolean, reason: string }}
+ */
+export function isCommandAuthorized(comment, auth) {
+  const login = comment?.user?.login || '';
+  const association = comment?.author_association || 'NONE';
+
+  if (login && (auth.allowedUsers || []).some(u => u.toLowerCase() === login.toLowerCase())) {
+    return { allowed: true, reason: 'allow-listed user' };
+  }
+
+  if (comment?.user?.type === 'Bot') {
+    return { allowed: false, reason: 'bots may not run commands' };
+  }
+
+  if (auth.minAssociation) {
+    const rank = ASSOCIATION_RANK.indexOf(association);
+    const required = ASSOCIATION_RANK.indexOf(auth.minAssociation);
+    if (rank >= required && required !== -1) {
+      return { allowed: true, reason: `association ${association}` };
+    }
+    return { allowed: false, reason: `association ${association} is below ${auth.minAssociation}` };
+  }
+
+  return { allowed: false, reason: 'user is not on the allow-list' };
+}
@@ -1,60 +1,126 @@
-import { execFile } from 'node:child_process';
-import { writeFile, unlink } from 'node:fs/promises';
+import { mkdir, writeFile, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
 import { env } from './config.js';
+import { getRepoConfig } from './repos.js';
+import { createExecutor } from './executors.js';
+import { renderPrompt } from './prompts.js';
+import { gatherIssueContext } from './context.js';
+import { sessionId } from './runs.js';
+import { detectContextInjection, describeFindings } from './sanitize.js';
 
 /**
- * Build the prompt for Ralph from an issue.
- * @param {string} repo
+ * Build the prompt for Ralph from an issue, using the prompt template for
+ * the repo and issue type (see src/prompts.js and templates/).
+ * @param {string} repo - Full name
  * @param {number} number
  * @param {object} issue
+ * @param {object} [extras]
+ * @param {import('./analyzer.js').Analysis} [extras.analysis]
+ * @param {string} [extras.instructions] - Free text from a `/ralph <instructions>` comment
+ * @param {import('./context.js').IssueContext} [extras.context] - Comments, labels and references
  * @returns {string}
  */
-export function buildPrompt(repo, number, issue) {
-  return `Fix GitHub issue atriumn/${repo}#${number}:
-"${issue.title}"
-
-${issue.body || '(no description)'}
-
-Open a PR when done. Reference the issue in the PR description.`;
+export function buildPrompt(repo, number, issue, extras = {}) {
+  return renderPrompt(repo, number, issue, extras).prompt;
 }
 
 /**
  * Spawn Ralph to fix a GitHub issue.
- * Writes the prompt to a file under /home/jeff (shared with container),
- * then docker execs into alloy-jeff to run ralph-spawn.sh so Ralph
- * lives in the container alongside OpenClaw.
- * @param {string} repo
+ * Fetches the issue's comments and references for the prompt, writes it to
+ * a file in PROMPT_DIR, then runs ralph-spawn.sh with
+ * the repo's executor. With the docker executor, PROMPT_DIR must be mounted
+ * at the same path inside the container.
+ *
+ * Comments and references that look like prompt injection stop the spawn
+ * unless it was forced: the error carries the `findings` and isn't retryable.
+ * @param {string} repo - Full name
  * @param {number} number
  * @param {object} issue
+ * @param {object} [extras] - Passed through to buildPrompt
+ * @param {boolean} [extras.force] - Spawn despite likely injection (`/ralph force`)
  * @returns {Promise<void>}
  */
-export async function spawnRalph(repo, number, issue) {
-  const prompt = buildPrompt(repo, number, issue);
-  // Write under project dir (in service's ReadWritePaths) — visible inside container via /home/jeff mount
-  const promptFile = `/home/jeff/projects/atriumn-issue-triage/.prompts/issue-${repo}-${number}.txt`;
+export async function spawnRalph(repo, number, issue, extras = {}) {
+  const executor = executorFor(repo);
+  const context = await gatherIssueContext(repo, number, issue);
+  const findings = extras.force ? [] : detectContextInjection(context);
+  if (findings.length) {
+    const err = new Error(`Possible prompt injection in the comments or linked issues: ${describeFindings(findings)}`);
+    err.findings = findings;
+    err.retryable = false;
+    throw err;
+  }
+  const prompt = buildPrompt(repo, number, issue, { ...extras, context });
+  await mkdir(env.promptDir, { recursive: true });
+  const promptFile = join(env.promptDir, `issue-${sessionId(repo, number)}.txt`);
   await writeFile(promptFile, prompt, 'utf-8');
 
-  const script = env.ralphSpawnScript;
-  const container = env.ralphContainer;
-
   try {
-    await new Promise((resolve, reject) => {
-      execFile(
-        'docker', ['exec', container,
-          script,
-          '--project', repo, '--issue', String(number), '--prompt-file', promptFile,
-        ],
-        { timeout: 120_000 },
-        (error, stdout, stderr) => {
-          if (error) {
-            reject(new Error(`Ralph spawn failed: ${error.message}${stderr ? ` (${stderr.trim()})` : ''}`));
-            return;
-          }
-          resolve();
-        },
-      );
+    await executor.run({
+      args: [...targetArgs(repo, number), '--prompt-file', promptFile],
+      env: callbackEnv(repo, number),
+      prompt,
     });
   } finally {
     await unlink(promptFile).catch(() => {});
   }
 }
+
+/**
+ * Stop Ralph's session for an issue.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {Promise<void>}
+ */
+export async function cancelRalph(repo, number) {
+  await executorFor(repo).run({ args: ['--cancel', ...targetArgs(repo, number)] });
+}
+
+/**
+ * ralph-spawn.sh arguments naming the issue: `--project` is the repo's name
+ * (its directory under the projects root), `--repo` its full name.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {string[]}
+ */
+function targetArgs(repo, number) {
+  return ['--project', repo.split('/').pop(), '--repo', repo, '--issue', String(number)];
+}
+
+/**
+ * How a repo's Ralph runs are executed: its `executor` config, else
+ * RALPH_EXECUTOR. The local executor runs in the repo's projectDir unless
+ * the executor sets its own `cwd`.
+ * @param {string} repo - Full name
+ * @returns {import('./executors.js').ExecutorConfig}
+ */
+export function executorConfigFor(repo) {
+  const { executor, projectDir } = getRepoConfig(repo);
+  const config = executor || { type: env.ralphExecutor };
+  return config.type === 'local' && !config.cwd && projectDir ? { ...config, cwd: projectDir } : config;
+}
+
+/**
+ * The executor a repo's Ralph runs use.
+ * @param {string} repo - Full name
+ * @returns {import('./executors.js').Executor}
+ */
+export function executorFor(repo) {
+  return createExecutor(executorConfigFor(repo));
+}
+
+/**
+ * Where ralph-spawn.sh reports progress: RALPH_CALLBACK_URL and
+ * RALPH_CALLBACK_TOKEN for this run's session. Empty when callbacks aren't
+ * configured.
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {Record<string, string>}
+ */
+export function callbackEnv(repo, number) {
+  if (!env.ralphCallbackUrl || !env.ralphCallbackToken) return {};
+  return {
+    RALPH_CALLBACK_URL: `${env.ralphCallbackUrl.replace(/\/$/, '')}/runs/${sessionId(repo, number)}/callback`,
+    RALPH_CALLBACK_TOKEN: env.ralphCallbackToken,
+  };
+}
@@ -0,0 +1,164 @@
+import { readFileSync, mkdirSync, renameSync } from 'node:fs';
+import { writeFile, rename, appendFile, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/** @typedef {Object} StateStore
+ * @property {(ns: string, key: string) => any} get
+ * @property {(ns: string, key: string, value: any) => void} set
+ * @property {(ns: string, key: string) => boolean} delete
+ * @property {(ns: string) => Array<[string, any]>} entries
+ * @property {(ns: string) => number} size
+ * @property {(log: string, record: object) => Promise<void>} append - Append a record to a JSONL log
+ * @property {(log: string) => Promise<object[]>} readLog
+ * @property {() => Promise<void>} flush - Resolves once all pending writes are on disk
+ */
+
+/**
+ * Shared implementation. Namespaced key/value data lives in memory and is
+ * read synchronously, so dedup checks never race; `persist` is called after
+ * every mutation and is responsible for getting it to disk.
+ * @param {Record<string, Record<string, any>>} data
+ * @param {object} io
+ * @returns {StateStore}
+ */
+function createStore(data, io) {
+  const bucket = (ns) => (data[ns] ||= {});
+
+  return {
+    get(ns, key) {
+      return data[ns]?.[key];
+    },
+    set(ns, key, value) {
+      bucket(ns)[key] = value;
+      io.persist();
+    },
+    delete(ns, key) {
+      if (!data[ns] || !(key in data[ns])) return false;
+      delete data[ns][key];
+      io.persist();
+      return true;
+    },
+    entries(ns) {
+      return Object.entries(data[ns] || {});
+    },
+    size(ns) {
+      return Object.keys(data[ns] || {}).length;
+    },
+    append: io.append,
+    readLog: io.readLog,
+    flush: io.flush,
+  };
+}
+
+/**
+ * In-memory store for tests and ephemeral runs.
+ * @returns {StateStore}
+ */
+export function createMemoryStore() {
+  const logs = {};
+  return createStore({}, {
+    persist() {},
+    async append(log, record) {
+      (logs[log] ||= []).push(structuredClone(record));
+    },
+    async readLog(log) {
+      return structuredClone(logs[log] || []);
+    },
+    async flush() {},
+  });
+}
+
+/**
+ * File-backed store. Key/value data is kept in `<dir>/state.json`, rewritten
+ * atomically (temp file + rename) after mutations; logs are appended to
+ * `<dir>/<log>.jsonl`. A log that reaches `maxLogBytes` is rotated to
+ * `<log>.jsonl.1`, replacing the previous one, so each log keeps at most
+ * about twice that on disk and readLog never parses more. A corrupt state
+ * file is moved aside rather than failing startup.
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {(err: Error) => void} [options.onError] - Called when a background write fails
+ * @param {number} [options.maxLogBytes] - Rotate logs at this size; 0 never rotates
+ * @returns {StateStore}
+ */
+export function createFileStore(dir, options = {}) {
+  const onError = options.onError || (() => {});
+  const maxLogBytes = options.maxLogBytes || 0;
+  const statePath = join(dir, 'state.json');
+  mkdirSync(dir, { recursive: true });
+
+  let data = {};
+  try {
+    data = JSON.parse(readFileSync(statePath, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      renameSync(statePath, `${statePath}.corrupt-${Date.now()}`);
+      onError(new Error(`State file unreadable, moved aside: ${err.message}`));
+    }
+  }
+
+  // Writes are serialized on one chain; a mutation during a write schedules exactly one more.
+  let chain = Promise.resolve();
+  let dirty = false;
+  let scheduled = false;
+
+  const writeState = async () => {
+    scheduled = false;
+    if (!dirty) return;
+    dirty = false;
+    const tmp = `${statePath}.tmp-${process.pid}`;
+    await writeFile(tmp, JSON.stringify(data), { encoding: 'utf-8', mode: 0o600 });
+    await rename(tmp, statePath);
+  };
+
+  const enqueue = (fn) => {
+    chain = chain.then(fn).catch(onError);
+    return chain;
+  };
+
+  // Current size of each log file, read from disk on its first append
+  const logSizes = {};
+
+  const appendLine = async (log, line) => {
+    const path = join(dir, `${log}.jsonl`);
+    if (maxLogBytes) {
+      logSizes[log] ??= await stat(path).then(s => s.size, () => 0);
+      if (logSizes[log] && logSizes[log] + Buffer.byteLength(line) > maxLogBytes) {
+        await rename(path, `${path}.1`);
+        logSizes[log] = 0;
+      }
+      logSizes[log] += Buffer.byteLength(line);
+    }
+    await appendFile(path, line, { mode: 0o600 });
+  };
+
+  const readText = (path) => readFile(path, 'utf-8').catch(err => {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  });
+
+  return createStore(data, {
+    persist() {
+      dirty = true;
+      if (!scheduled) {
+        scheduled = true;
+        enqueue(writeState);
+      }
+    },
+    append(log, record) {
+      return enqueue(() => appendLine(log, JSON.stringify(record) + '\n'));
+    },
+    async readLog(log) {
+      await chain;
+      const path = join(dir, `${log}.jsonl`);
+      const text = `${await readText(`${path}.1`)}\n${await readText(path)}`;
+      // A torn line (crash mid-append) is skipped
+      return text.split('\n').filter(Boolean).flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+      });
+    },
+    flush() {
+      return enqueue(writeState);
+    },
+  });
+}
@@ -0,0 +1,176 @@
+import { createHash } from 'node:crypto';
+import { env } from './config.js';
+import { isCommandAuthorized } from './security.js';
+
+/** Inline buttons a notification can offer, keyed by action */
+export const TELEGRAM_ACTIONS = {
+  spawn: { icon: '\u{1F680}', label: 'Spawn Ralph' },
+  clarify: { icon: '\u{2753}', label: 'Ask for clarification' },
+  dismiss: { icon: '\u{1F645}', label: 'Dismiss' },
+  snooze: { icon: '\u{23F0}', label: 'Snooze' },
+};
+
+const SNOOZED = '\u{23F0} Snoozed reminder\n\n';
+
+/** @typedef {Object} CallbackTarget
+ * @property {string} action - A key of TELEGRAM_ACTIONS
+ * @property {string} repo - Full name, as configured
+ * @property {number} number
+ */
+
+/**
+ * Short, stable stand-in for a repo's full name. Callback data is limited to
+ * 64 bytes, which a long owner/name could overrun.
+ * @param {string} repo
+ * @returns {string}
+ */
+const repoKey = (repo) => createHash('sha256').update(repo.toLowerCase()).digest('hex').slice(0, 12);
+
+/**
+ * Callback data for an inline button: `<action>:<number>:<repo key>`.
+ * @param {string} action
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {string}
+ */
+export function callbackData(action, repo, number) {
+  return `${action}:${number}:${repoKey(repo)}`;
+}
+
+/**
+ * Resolve a button's callback data back to its action and issue. The repo
+ * must be one of `repos`; anything else is null.
+ * @param {string} data
+ * @param {string[]} repos - Configured full names
+ * @returns {CallbackTarget|null}
+ */
+export function parseCallbackData(data, repos) {
+  const match = /^(\w+):(\d+):([0-9a-f]{12})$/.exec(data || '');
+  if (!match || !Object.hasOwn(TELEGRAM_ACTIONS, match[1])) return null;
+  const repo = repos.find(name => repoKey(name) === match[3]);
+  return repo ? { action: match[1], repo, number: Number(match[2]) } : null;
+}
+
+/**
+ * Inline keyboard with a button per action, two to a row.
+ * @param {string[]} actions - Keys of TELEGRAM_ACTIONS
+ * @param {string} repo - Full name
+ * @param {number} number
+ * @returns {{ inline_keyboard: Array<Array<{ text: string, callback_data: string }>> }}
+ */
+export function inlineKeyboard(actions, repo, number) {
+  const buttons = actions.map(action => ({
+    text: `${TELEGRAM_ACTIONS[action].icon} ${TELEGRAM_ACTIONS[action].label}`,
+    callback_data: callbackData(action, repo, number),
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Whether button presses from a chat may act on a repo's issues: the chat
+ * must be TELEGRAM_CHAT_ID or one of the repo's Telegram channels.
+ * @param {string|number} chatId
+ * @param {import('./channels.js').ChannelConfig[]} channels
+ * @returns {boolean}
+ */
+export function isAllowedChat(chatId, channels) {
+  const chats = [env.telegramChatId, ...channels.filter(c => c.type === 'telegram').map(c => c.chatId)];
+  return chatId !== undefined && chats.some(id => id && String(id) === String(chatId));
+}
+
+/**
+ * Check whether a Telegram user may press a repo's buttons. Telegram users
+ * have no GitHub identity, so `commandAuth.telegramUsers` maps them (by
+ * username, with or without `@`, or numeric ID) to a GitHub login. That login
+ * is checked like a commenter with no association: it has to be in
+ * `allowedUsers`, unless `minAssociation` is NONE.
+ * @param {{ id?: number, username?: string }} [from] - The callback query's `from`
+ * @param {import('./repos.js').CommandAuth} auth
+ * @returns {{ allowed: boolean, reason: string, login?: string }}
+ */
+export function authorizeTelegramUser(from, auth) {
+  const username = from?.username?.toLowerCase();
+  const match = Object.entries(auth.telegramUsers || {}).find(([user]) =>
+    (username && user.replace(/^@/, '').toLowerCase() === username) || (from?.id !== undefined && user === String(from.id)));
+  if (!match) return { allowed: false, reason: 'Telegram user is not mapped to a GitHub login' };
+  const login = match[1];
+  return { ...isCommandAuthorized({ user: { login }, author_association: 'NONE' }, auth), login };
+}
+
+/**
+ * A notification's text with the outcome of a button press appended.
+ * @param {string} text - The message as sent
+ * @param {string} action
+ * @param {string} outcome - e.g. Spawning Ralph
+ * @param {string} user - Who pressed the button
+ * @returns {string}
+ */
+export function formatOutcome(text, action, outcome, user) {
+  return `${text}\n\n${TELEGRAM_ACTIONS[action].icon} ${outcome} \u00B7 ${user}`;
+}
+
+/**
+ * A snoozed notification's text for sending again. Snoozing a reminder
+ * doesn't stack the header.
+ * @param {string} text
+ * @returns {string}
+ */
+export function formatSnoozed(text) {
+  return SNOOZED + text.replace(SNOOZED, '');
+}
+
+/**
+ * Call a Telegram Bot API method.
+ * @param {string} method - e.g. sendMessage
+ * @param {object} body
+ * @returns {Promise<any>} The response's `result`
+ */
+export async function callTelegram(method, body) {
+  const res = await fetch(`${env.telegramApiUrl}/bot${env.telegramBotToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    const err = new Error(`Telegram API error ${res.status}: ${text}`);
+    err.status = res.status;
+    throw err;
+  }
+  return (await res.json()).result;
+}
+
+/**
+ * Send a text message, optionally with inline buttons.
+ * @param {string|number} chatId
+ * @param {string} text
+ * @param {object} [replyMarkup]
+ * @returns {Promise<object>}
+ */
+export async function sendMessage(chatId, text, replyMarkup) {
+  return callTelegram('sendMessage', { chat_id: chatId, text, ...(replyMarkup && { reply_markup: replyMarkup }) });
+}
+
+/**
+ * Replace a message's text. The inline buttons are removed.
+ * @param {string|number} chatId
+ * @param {number} messageId
+ * @param {string} text
+ * @returns {Promise<object>}
+ */
+export async function editMessage(chatId, messageId, text) {
+  return callTelegram('editMessageText', { chat_id: chatId, message_id: messageId, text });
+}
+
+/**
+ * Stop the pressed button's loading spinner, showing `text` as a toast.
+ * @param {string} callbackQueryId
+ * @param {string} [text]
+ * @returns {Promise<boolean>}
+ */
+export async function answerCallback(callbackQueryId, text) {
+  return callTelegram('answerCallbackQuery', { callback_query_id: callbackQueryId, text });
+}
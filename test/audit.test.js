@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuditLog, auditNotifier } from '../src/audit.js';
+import { createMemoryStore } from '../src/state.js';
+
+describe('createAuditLog', () => {
+  it('appends records and reads an issue\'s history', async () => {
+    const store = createMemoryStore();
+    const audit = createAuditLog(store);
+    audit.record('event', { repo: 'atriumn/tariff', number: 7, event: 'issues', action: 'opened' });
+    audit.record('command', { repo: 'atriumn/tariff', number: 8, command: '/ralph', user: 'jeff' });
+    const spawn = audit.record('spawn', { repo: 'Atriumn/Tariff', number: 7, outcome: 'started' });
+
+    assert.match(spawn.at, /^\d{4}-\d\d-\d\dT/);
+    const history = await audit.history('atriumn/tariff', 7);
+    assert.deepEqual(history.map(entry => entry.type), ['event', 'spawn']);
+    assert.equal((await store.readLog('audit')).length, 3);
+  });
+
+  it('pages through records after a timestamp', async () => {
+    const store = createMemoryStore();
+    for (const [i, at] of ['2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z'].entries()) {
+      await store.append('audit', { at, type: 'event', n: i });
+    }
+    const audit = createAuditLog(store);
+
+    assert.deepEqual((await audit.since()).events.map(e => e.n), [0, 1, 2]);
+    const page = await audit.since('2026-01-01T00:00:00.000Z', 1);
+    assert.deepEqual(page.events.map(e => e.n), [1]);
+    assert.equal(page.more, true);
+    const last = await audit.since(page.events[0].at, 1);
+    assert.deepEqual(last.events.map(e => e.n), [2]);
+    assert.equal(last.more, false);
+  });
+});
+
+describe('auditNotifier', () => {
+  it('records sent and failed notifications, passing errors on', async () => {
+    const store = createMemoryStore();
+    const audit = createAuditLog(store);
+    const notifier = auditNotifier({
+      notifyNewIssue: async () => {},
+      notifyRunUpdate: async () => { throw new Error('telegram: 502'); },
+    }, audit);
+
+    await notifier.notifyNewIssue('atriumn/tariff', 7, {});
+    await assert.rejects(notifier.notifyRunUpdate({ repo: 'atriumn/tariff', number: 7 }), /telegram: 502/);
+
+    const records = (await store.readLog('audit')).map(({ at, ...rest }) => rest);
+    assert.deepEqual(records, [
+      { type: 'notification', repo: 'atriumn/tariff', number: 7, kind: 'new-issue', outcome: 'sent' },
+      { type: 'notification', repo: 'atriumn/tariff', number: 7, kind: 'run-update', outcome: 'failed', error: 'telegram: 502' },
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { renderText, renderSlack, renderDiscord, createChannel } from '../src/channels.js';
+import { sendNotification } from '../src/notifier.js';
+import { metrics } from '../src/metrics.js';
+
+function makeMessage(overrides = {}) {
+  return {
+    kind: 'new-issue',
+    icon: '\u{1F4CB}',
+    title: 'New Issue: idynic#7',
+    subtitle: 'Crash on <Profile> & settings',
+    paragraphs: ['Steps: open *profile*'],
+    list: { heading: 'Needs clarification:', items: ['Which browser?'] },
+    url: 'https://github.com/atriumn/idynic/issues/7',
+    footer: 'Reply /ralph on the issue to auto-fix.',
+    meta: { repo: 'idynic', number: 7 },
+    ...overrides,
+  };
+}
+
+/** Records POSTed JSON bodies; responds with `state.status` */
+function startStub() {
+  const state = { requests: [], status: 200, body: null, headers: {} };
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      state.requests.push({ url: req.url, body: JSON.parse(raw) });
+      res.writeHead(state.status, state.headers);
+      res.end(state.body || (state.status === 200 ? '{"ok":true}' : '{"ok":false}'));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('renderText', () => {
+  it('renders blocks separated by blank lines', () => {
+    assert.equal(renderText(makeMessage()), [
+      '\u{1F4CB} New Issue: idynic#7',
+      'Crash on <Profile> & settings',
+      '',
+      'Steps: open *profile*',
+      '',
+      'Needs clarification:',
+      '1. Which browser?',
+      '',
+      '\u{1F517} https://github.com/atriumn/idynic/issues/7',
+      'Reply /ralph on the issue to auto-fix.',
+    ].join('\n'));
+  });
+
+  it('omits empty sections', () => {
+    const text = renderText({ icon: '\u{1F680}', title: 'Ralph spawned: idynic#7', footer: 'Session: idynic-7' });
+    assert.equal(text, '\u{1F680} Ralph spawned: idynic#7\n\nSession: idynic-7');
+  });
+});
+
+describe('renderSlack', () => {
+  it('escapes mrkdwn control characters and links the issue', () => {
+    const { text } = renderSlack(makeMessage());
+    assert.ok(text.startsWith('*\u{1F4CB} New Issue: idynic#7*'));
+    assert.ok(text.includes('Crash on &lt;Profile&gt; &amp; settings'));
+    assert.ok(text.includes('<https://github.com/atriumn/idynic/issues/7|View on GitHub>'));
+    assert.ok(text.includes('1. Which browser?'));
+  });
+});
+
+describe('renderDiscord', () => {
+  it('renders a single embed with escaped markdown', () => {
+    const { embeds } = renderDiscord(makeMessage());
+    assert.equal(embeds.length, 1);
+    assert.equal(embeds[0].title, '\u{1F4CB} New Issue: idynic#7');
+    assert.equal(embeds[0].url, 'https://github.com/atriumn/idynic/issues/7');
+    assert.ok(embeds[0].description.includes('Steps: open \\*profile\\*'));
+    assert.equal(embeds[0].footer.text, 'Reply /ralph on the issue to auto-fix.');
+  });
+});
+
+describe('createChannel', () => {
+  it('rejects unknown channel types', () => {
+    assert.throws(() => createChannel({ type: 'carrier-pigeon' }), /Unknown notification channel type/);
+  });
+});
+
+describe('channel delivery', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStub();
+  });
+
+  beforeEach(() => {
+    stub.state.requests = [];
+    stub.state.status = 200;
+    stub.state.body = null;
+    stub.state.headers = {};
+  });
+
+  after(() => {
+    stub.server.close();
+    delete process.env.TELEGRAM_API_URL;
+    delete process.env.TELEGRAM_BOT_TOKEN;
+    delete process.env.TEST_SLACK_URL;
+  });
+
+  it('sends Telegram plain text to the configured chat', async () => {
+    process.env.TELEGRAM_API_URL = stub.url;
+    process.env.TELEGRAM_BOT_TOKEN = 'bot-token';
+    await createChannel({ type: 'telegram', chatId: '-100123' }).send(makeMessage());
+    assert.equal(stub.state.requests[0].url, '/botbot-token/sendMessage');
+    assert.equal(stub.state.requests[0].body.chat_id, '-100123');
+    assert.equal(stub.state.requests[0].body.text, renderText(makeMessage()));
+    assert.equal(stub.state.requests[0].body.reply_markup, undefined);
+  });
+
+  it('attaches inline buttons for the message actions', async () => {
+    process.env.TELEGRAM_API_URL = stub.url;
+    process.env.TELEGRAM_BOT_TOKEN = 'bot-token';
+    await createChannel({ type: 'telegram' }).send({ ...makeMessage(), actions: ['spawn', 'dismiss'] });
+    const [row] = stub.state.requests[0].body.reply_markup.inline_keyboard;
+    assert.deepEqual(row.map(button => button.text), ['\u{1F680} Spawn Ralph', '\u{1F645} Dismiss']);
+    assert.match(row[0].callback_data, /^spawn:7:[0-9a-f]{12}$/);
+  });
+
+  it('resolves webhook URLs from env', async () => {
+    process.env.TEST_SLACK_URL = `${stub.url}/slack`;
+    await createChannel({ type: 'slack', urlEnv: 'TEST_SLACK_URL' }).send(makeMessage());
+    assert.equal(stub.state.requests[0].url, '/slack');
+    assert.ok('text' in stub.state.requests[0].body);
+  });
+
+  it('posts the structured message to generic webhooks', async () => {
+    await createChannel({ type: 'webhook', url: `${stub.url}/hook` }).send(makeMessage());
+    const { body } = stub.state.requests[0];
+    assert.equal(body.kind, 'new-issue');
+    assert.deepEqual(body.meta, { repo: 'idynic', number: 7 });
+    assert.equal(body.text, renderText(makeMessage()));
+  });
+
+  it('fails clearly when a URL is missing', async () => {
+    await assert.rejects(createChannel({ type: 'discord', urlEnv: 'MISSING_DISCORD_URL' }).send(makeMessage()), /no URL/);
+  });
+
+  it('sends to every channel and reports each failure', async () => {
+    metrics.reset();
+    const channels = [
+      { type: 'discord', url: `${stub.url}/discord` },
+      { type: 'slack', urlEnv: 'MISSING_SLACK_URL' },
+    ];
+    await assert.rejects(sendNotification(makeMessage(), channels), (err) => {
+      assert.equal(err.failures.length, 1);
+      assert.equal(err.failures[0].channel.type, 'slack');
+      return true;
+    });
+    assert.equal(stub.state.requests[0].url, '/discord');
+
+    const text = metrics.render();
+    assert.match(text, /^triage_notification_duration_seconds_count\{repo="idynic",channel="discord",kind="new-issue",outcome="ok"\} 1$/m);
+    assert.match(text, /^triage_notification_duration_seconds_count\{repo="idynic",channel="slack",kind="new-issue",outcome="failed"\} 1$/m);
+  });
+
+  it('includes the HTTP status on API errors', async () => {
+    stub.state.status = 400;
+    await assert.rejects(
+      createChannel({ type: 'webhook', url: stub.url }).send(makeMessage()),
+      err => err.status === 400 && /Webhook API error 400/.test(err.message),
+    );
+  });
+
+  it('reads Telegram retry_after from 429 responses', async () => {
+    process.env.TELEGRAM_API_URL = stub.url;
+    stub.state.status = 429;
+    stub.state.body = '{"ok":false,"error_code":429,"parameters":{"retry_after":12}}';
+    await assert.rejects(createChannel({ type: 'telegram' }).send(makeMessage()), err => err.retryAfter === 12);
+  });
+
+  it('reads the Retry-After header', async () => {
+    stub.state.status = 429;
+    stub.state.headers = { 'retry-after': '5' };
+    await assert.rejects(
+      createChannel({ type: 'slack', url: stub.url }).send(makeMessage()),
+      err => err.status === 429 && err.retryAfter === 5,
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  formatClarificationComment, clarificationMarker, postClarification,
+} from '../src/clarifier.js';
+
+/** Minimal GitHub issues-comments API backed by an in-memory list */
+function startGitHubStub() {
+  const state = { comments: [], requests: [] };
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, auth: req.headers.authorization });
+      res.setHeader('content-type', 'application/json');
+      if (req.method === 'GET') {
+        res.end(JSON.stringify(state.comments));
+      } else {
+        const comment = { id: state.comments.length + 1, body: JSON.parse(raw).body };
+        state.comments.push(comment);
+        res.statusCode = 201;
+        res.end(JSON.stringify(comment));
+      }
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('formatClarificationComment', () => {
+  it('numbers the questions', () => {
+    const body = formatClarificationComment(['Which browser?', 'Can you share a screenshot?']);
+    assert.ok(body.includes('1. Which browser?\n2. Can you share a screenshot?'));
+  });
+
+  it('includes the branded footer and marker', () => {
+    const questions = ['Which browser?'];
+    const body = formatClarificationComment(questions);
+    assert.ok(body.includes('Posted by atriumn issue triage'));
+    assert.ok(body.endsWith(clarificationMarker(questions)));
+  });
+});
+
+describe('clarificationMarker', () => {
+  it('is stable for the same questions', () => {
+    assert.equal(clarificationMarker(['a', 'b']), clarificationMarker(['a', 'b']));
+  });
+
+  it('differs for different questions', () => {
+    assert.notEqual(clarificationMarker(['a']), clarificationMarker(['b']));
+  });
+});
+
+describe('postClarification', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub();
+    process.env.GITHUB_API_URL = stub.url;
+    process.env.GITHUB_TOKEN = 'test-github-token';
+  });
+
+  beforeEach(() => {
+    stub.state.comments = [];
+    stub.state.requests = [];
+  });
+
+  after(() => {
+    stub.server.close();
+    delete process.env.GITHUB_API_URL;
+    delete process.env.GITHUB_TOKEN;
+  });
+
+  it('posts the comment with the token', async () => {
+    const result = await postClarification('atriumn/idynic', 7, ['Which browser?']);
+    assert.deepEqual(result, { posted: true, commentId: 1 });
+    const post = stub.state.requests.find(r => r.method === 'POST');
+    assert.equal(post.url, '/repos/atriumn/idynic/issues/7/comments');
+    assert.equal(post.auth, 'Bearer test-github-token');
+    assert.ok(stub.state.comments[0].body.includes('1. Which browser?'));
+  });
+
+  it('does not post the same questions twice', async () => {
+    await postClarification('atriumn/idynic', 7, ['Which browser?']);
+    const result = await postClarification('atriumn/idynic', 7, ['Which browser?']);
+    assert.deepEqual(result, { posted: false });
+    assert.equal(stub.state.comments.length, 1);
+  });
+
+  it('posts new questions on the same issue', async () => {
+    await postClarification('atriumn/idynic', 7, ['Which browser?']);
+    const result = await postClarification('atriumn/idynic', 7, ['Which OS?']);
+    assert.equal(result.posted, true);
+    assert.equal(stub.state.comments.length, 2);
+  });
+
+  it('skips when there are no questions', async () => {
+    const result = await postClarification('atriumn/idynic', 7, []);
+    assert.deepEqual(result, { posted: false });
+    assert.equal(stub.state.requests.length, 0);
+  });
+
+  it('rejects when the token is missing', async () => {
+    delete process.env.GITHUB_TOKEN;
+    try {
+      await assert.rejects(postClarification('atriumn/idynic', 7, ['Which browser?']), /GITHUB_TOKEN not configured/);
+    } finally {
+      process.env.GITHUB_TOKEN = 'test-github-token';
+    }
+  });
+});
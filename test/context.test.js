@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { gatherIssueContext, isBotComment, estimateTokens } from '../src/context.js';
+
+const comment = (login, body, extra = {}) => ({
+  user: { login, type: 'User' }, body, created_at: '2025-01-15T10:00:00Z', ...extra,
+});
+
+/** Fake GitHub client serving `issues` (number → issue) and the comment list */
+function makeGithub({ issues = {}, comments = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getIssue: async (repo, number) => {
+      calls.push(`getIssue ${repo}#${number}`);
+      if (!issues[number]) throw Object.assign(new Error('GitHub API error 404: Not Found'), { status: 404 });
+      return issues[number];
+    },
+    listComments: async (repo, number) => {
+      calls.push(`listComments ${repo}#${number}`);
+      return comments;
+    },
+  };
+}
+
+const issue = { number: 42, title: 'Crash', body: 'Crashes on save, like #12', labels: [{ name: 'bug' }] };
+
+describe('isBotComment', () => {
+  it('recognizes apps and [bot] accounts', () => {
+    assert.equal(isBotComment({ user: { login: 'renovate', type: 'Bot' } }), true);
+    assert.equal(isBotComment({ user: { login: 'github-actions[bot]', type: 'User' } }), true);
+    assert.equal(isBotComment(comment('jeff', 'hi')), false);
+  });
+});
+
+describe('gatherIssueContext', () => {
+  it('attributes comments and skips bots and command-only comments', async () => {
+    const github = makeGithub({
+      issues: { 42: { ...issue, labels: [{ name: 'bug' }, { name: 'p1' }] } },
+      comments: [
+        comment('alice', 'Steps to reproduce:\n1. Open settings\n2. Save'),
+        comment('dependabot[bot]', 'Bumped a dependency'),
+        comment('jeff', '/ralph keep it small'),
+        comment('bob', 'Also on Firefox', { created_at: '2025-01-16T08:00:00Z' }),
+      ],
+    });
+    const context = await gatherIssueContext('idynic', 42, issue, { github, budgetTokens: 1000 });
+
+    assert.deepEqual(context.labels, ['bug', 'p1']);
+    assert.equal(context.comments, [
+      '@alice commented on 2025-01-15:\n> Steps to reproduce:\n> 1. Open settings\n> 2. Save',
+      '@bob commented on 2025-01-16:\n> Also on Firefox',
+    ].join('\n\n'));
+    assert.deepEqual(context.errors, ['#12: GitHub API error 404: Not Found']);
+  });
+
+  it('keeps the rest of a comment around its command lines', async () => {
+    const github = makeGithub({
+      issues: { 42: issue },
+      comments: [comment('jeff', 'Repro:\n```\nTypeError: avatar is null\n```\n/ralph guard the avatar\n> /ralph from an earlier reply')],
+    });
+    const context = await gatherIssueContext('idynic', 42, { ...issue, body: '' }, { github, budgetTokens: 1000 });
+
+    assert.equal(context.comments,
+      '@jeff commented on 2025-01-15:\n> Repro:\n> ```\n> TypeError: avatar is null\n> ```\n> > /ralph from an earlier reply');
+  });
+
+  it('includes referenced issues and pull requests from the same repo', async () => {
+    const github = makeGithub({
+      issues: {
+        42: issue,
+        12: { number: 12, title: 'Save is flaky', state: 'closed', body: 'Old report', user: { login: 'carol' } },
+        15: { number: 15, title: 'Fix save', state: 'closed', body: '', user: { login: 'dave' }, pull_request: { merged_at: '2025-01-01' } },
+      },
+      comments: [comment('alice', 'Maybe related to #15 and atriumn/tariff#3')],
+    });
+    const context = await gatherIssueContext('idynic', 42, issue, { github, budgetTokens: 1000 });
+
+    assert.equal(context.references, [
+      '#12 (issue, closed) by @carol: Save is flaky\n> Old report',
+      '#15 (pull request, merged) by @dave: Fix save',
+    ].join('\n\n'));
+    assert.ok(!github.calls.includes('getIssue idynic#3'));
+  });
+
+  it('keeps to the token budget, newest comments first, shown oldest first', async () => {
+    const long = 'x'.repeat(400);
+    const github = makeGithub({
+      issues: { 42: issue },
+      comments: [comment('alice', long), comment('bob', long), comment('carol', long)],
+    });
+    const context = await gatherIssueContext('idynic', 42, { ...issue, body: '' }, { github, budgetTokens: 120 });
+
+    assert.ok(estimateTokens(context.comments) <= 120);
+    assert.match(context.comments, /^@bob[\s\S]*@carol/);
+    assert.match(context.comments, /… \(truncated\)/);
+    assert.doesNotMatch(context.comments, /@alice/);
+    assert.equal(context.omitted, 1);
+  });
+
+  it('builds the prompt without context when lookups fail', async () => {
+    const github = {
+      getIssue: async () => { throw new Error('GITHUB_TOKEN not configured'); },
+      listComments: async () => { throw new Error('GITHUB_TOKEN not configured'); },
+    };
+    const context = await gatherIssueContext('idynic', 42, issue, { github, budgetTokens: 1000 });
+    assert.deepEqual(context.labels, ['bug']);
+    assert.equal(context.comments, '');
+    assert.equal(context.errors.length, 3);
+  });
+
+  it('fetches nothing with a zero budget', async () => {
+    const github = makeGithub();
+    await gatherIssueContext('idynic', 42, issue, { github, budgetTokens: 0 });
+    assert.deepEqual(github.calls, []);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, chmod, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createExecutor, dryRunHistory } from '../src/executors.js';
+
+describe('createExecutor', () => {
+  let dir;
+  let script;
+  let output;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'executors-'));
+    output = join(dir, 'out.txt');
+    // Records its arguments, working directory and RALPH_CALLBACK_TOKEN
+    script = join(dir, 'spawn.sh');
+    await writeFile(script, `#!/bin/sh\necho "$* | $(pwd) | $RALPH_CALLBACK_TOKEN" > "${output}"\n`);
+    await chmod(script, 0o755);
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejects unknown types as permanent failures', () => {
+    assert.throws(() => createExecutor({ type: 'kubernetes' }), err =>
+      /Unknown Ralph executor type: kubernetes/.test(err.message) && err.retryable === false);
+  });
+
+  it('runs the script as a local subprocess', async () => {
+    await createExecutor({ type: 'local', script, cwd: dir })
+      .run({ args: ['--project', 'idynic', '--issue', '42'], env: { RALPH_CALLBACK_TOKEN: 'secret' } });
+    assert.equal((await readFile(output, 'utf-8')).trim(), `--project idynic --issue 42 | ${dir} | secret`);
+  });
+
+  it('runs the script in the container with docker exec', async () => {
+    // A fake docker on PATH that records how it was called
+    const docker = join(dir, 'docker');
+    await writeFile(docker, `#!/bin/sh\necho "$* | $RALPH_CALLBACK_TOKEN" > "${output}"\n`);
+    await chmod(docker, 0o755);
+    const path = process.env.PATH;
+    process.env.PATH = `${dir}:${path}`;
+    try {
+      await createExecutor({ type: 'docker', container: 'ralph', script: '/scripts/spawn.sh' })
+        .run({ args: ['--issue', '42'], env: { RALPH_CALLBACK_TOKEN: 'secret' } });
+    } finally {
+      process.env.PATH = path;
+    }
+    assert.equal((await readFile(output, 'utf-8')).trim(),
+      'exec -e RALPH_CALLBACK_TOKEN ralph /scripts/spawn.sh --issue 42 | secret');
+  });
+
+  it('checks a local script is executable', async () => {
+    assert.equal(await createExecutor({ type: 'local', script }).check(), `${script} is executable`);
+    await assert.rejects(createExecutor({ type: 'local', script: join(dir, 'missing.sh') }).check(),
+      /missing\.sh is missing or not executable/);
+    assert.match(await createExecutor({ type: 'dry-run' }).check(), /Dry run/);
+  });
+
+  it('checks the docker container is running', async () => {
+    const docker = join(dir, 'docker');
+    await writeFile(docker, '#!/bin/sh\n[ "$4" = ralph ] && echo true || echo false\n');
+    await chmod(docker, 0o755);
+    const path = process.env.PATH;
+    process.env.PATH = `${dir}:${path}`;
+    try {
+      assert.equal(await createExecutor({ type: 'docker', container: 'ralph' }).check(), 'Container ralph is running');
+      await assert.rejects(createExecutor({ type: 'docker', container: 'stopped' }).check(),
+        /Container stopped is not running/);
+    } finally {
+      process.env.PATH = path;
+    }
+  });
+
+  it('reports the script\'s stderr when it fails', async () => {
+    const failing = join(dir, 'fail.sh');
+    await writeFile(failing, '#!/bin/sh\necho "no such project" >&2\nexit 3\n');
+    await chmod(failing, 0o755);
+    await assert.rejects(createExecutor({ type: 'local', script: failing }).run({ args: [] }), /no such project/);
+  });
+
+  it('records dry runs without running anything', async () => {
+    await createExecutor({ type: 'dry-run', script })
+      .run({ args: ['--cancel'], env: { RALPH_CALLBACK_TOKEN: 'secret' }, prompt: 'Fix it' });
+    const last = dryRunHistory().at(-1);
+    assert.deepEqual(last.command, [script, '--cancel']);
+    assert.deepEqual(last.env, ['RALPH_CALLBACK_TOKEN']);
+    assert.equal(last.prompt, 'Fix it');
+  });
+});
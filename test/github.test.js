@@ -0,0 +1,103 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { generateKeyPairSync, createVerify } from 'node:crypto';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  getIssue, postComment, appJwt, rememberInstallation, clearInstallationCache,
+} from '../src/github.js';
+
+/** GitHub stub: installation lookups, installation tokens and issues */
+function startGitHubStub() {
+  const state = { requests: [], tokens: 0, expiresInMs: 60 * 60 * 1000 };
+  const server = createServer((req, res) => {
+    state.requests.push({ method: req.method, url: req.url, auth: req.headers.authorization });
+    res.setHeader('content-type', 'application/json');
+    if (req.url.endsWith('/installation')) {
+      res.end(JSON.stringify({ id: 555 }));
+    } else if (req.url.endsWith('/access_tokens')) {
+      state.tokens += 1;
+      res.statusCode = 201;
+      res.end(JSON.stringify({
+        token: `ghs_token${state.tokens}`,
+        expires_at: new Date(Date.now() + state.expiresInMs).toISOString(),
+      }));
+    } else {
+      res.end(JSON.stringify({ number: 7, title: 'Crash' }));
+    }
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('GitHub App authentication', () => {
+  let stub;
+  let dir;
+  let publicKey;
+
+  before(async () => {
+    stub = await startGitHubStub();
+    dir = await mkdtemp(join(tmpdir(), 'github-app-'));
+    const keys = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    publicKey = keys.publicKey;
+    await writeFile(join(dir, 'app.pem'), keys.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    process.env.GITHUB_API_URL = stub.url;
+    process.env.GITHUB_APP_ID = '1234';
+    process.env.GITHUB_APP_PRIVATE_KEY_FILE = join(dir, 'app.pem');
+  });
+
+  beforeEach(() => {
+    clearInstallationCache();
+    stub.state.requests = [];
+    stub.state.expiresInMs = 60 * 60 * 1000;
+  });
+
+  after(async () => {
+    stub.server.close();
+    delete process.env.GITHUB_API_URL;
+    delete process.env.GITHUB_APP_ID;
+    delete process.env.GITHUB_APP_PRIVATE_KEY_FILE;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('signs an app JWT with the private key', () => {
+    const [header, payload, signature] = appJwt(Date.UTC(2026, 0, 1) + 60_000).split('.');
+    assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', typ: 'JWT' });
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    assert.deepEqual(claims, { iat: Date.UTC(2026, 0, 1) / 1000, exp: Date.UTC(2026, 0, 1) / 1000 + 600, iss: '1234' });
+    const valid = createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, signature, 'base64url');
+    assert.equal(valid, true);
+  });
+
+  it('looks up the installation, then reuses its token', async () => {
+    await getIssue('clientco/api', 7);
+    await postComment('clientco/api', 7, 'Hi');
+
+    assert.deepEqual(stub.state.requests.map(r => `${r.method} ${r.url}`), [
+      'GET /repos/clientco/api/installation',
+      'POST /app/installations/555/access_tokens',
+      'GET /repos/clientco/api/issues/7',
+      'POST /repos/clientco/api/issues/7/comments',
+    ]);
+    assert.match(stub.state.requests[0].auth, /^Bearer eyJ/);
+    assert.equal(stub.state.requests[2].auth, stub.state.requests[3].auth);
+    assert.match(stub.state.requests[2].auth, /^Bearer ghs_token\d+$/);
+  });
+
+  it('uses the installation from a webhook and renews tokens close to expiry', async () => {
+    rememberInstallation('ClientCo/API', 777);
+    stub.state.expiresInMs = 2 * 60 * 1000;
+    await getIssue('clientco/api', 7);
+    await getIssue('clientco/api', 7);
+
+    assert.deepEqual(stub.state.requests.map(r => `${r.method} ${r.url}`), [
+      'POST /app/installations/777/access_tokens',
+      'GET /repos/clientco/api/issues/7',
+      'POST /app/installations/777/access_tokens',
+      'GET /repos/clientco/api/issues/7',
+    ]);
+  });
+});
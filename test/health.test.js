@@ -0,0 +1,124 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, chmod, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  checkConfig, checkStateDir, checkSpawnBackend, checkNotifications, createReadinessCheck,
+} from '../src/health.js';
+import { sendNotification, clearNotificationHistory } from '../src/notifier.js';
+
+const CONFIG_ENV = {
+  GITHUB_WEBHOOK_SECRET: 'secret',
+  GITHUB_TOKEN: 'ghp_test',
+  ANTHROPIC_API_KEY: 'sk-test',
+  TELEGRAM_BOT_TOKEN: 'bot-token',
+  TELEGRAM_CHAT_ID: '-100',
+};
+
+describe('checkConfig', () => {
+  beforeEach(() => Object.assign(process.env, CONFIG_ENV));
+
+  after(() => {
+    for (const name of Object.keys(CONFIG_ENV)) delete process.env[name];
+  });
+
+  it('passes with secrets, credentials and channels set', () => {
+    assert.deepEqual(checkConfig(), { status: 'ok', message: 'Complete' });
+  });
+
+  it('lists everything missing', () => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    delete process.env.TELEGRAM_BOT_TOKEN;
+    const check = checkConfig();
+    assert.equal(check.status, 'fail');
+    assert.match(check.problems[0], /GITHUB_WEBHOOK_SECRET is not set/);
+    // One problem per repo using the default Telegram channel
+    assert.ok(check.problems.some(p => p === 'atriumn/idynic: telegram channel needs TELEGRAM_BOT_TOKEN'));
+  });
+
+  it('accepts a GitHub App instead of a token, if its key is readable', () => {
+    delete process.env.GITHUB_TOKEN;
+    assert.match(checkConfig().message, /Neither GITHUB_TOKEN nor a GitHub App/);
+    process.env.GITHUB_APP_ID = '1';
+    process.env.GITHUB_APP_PRIVATE_KEY_FILE = '/nonexistent/app.pem';
+    try {
+      assert.deepEqual(checkConfig().problems, ['GITHUB_APP_PRIVATE_KEY_FILE /nonexistent/app.pem is not readable']);
+    } finally {
+      delete process.env.GITHUB_APP_ID;
+      delete process.env.GITHUB_APP_PRIVATE_KEY_FILE;
+    }
+  });
+});
+
+describe('checkStateDir and checkSpawnBackend', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'health-'));
+  });
+
+  after(async () => {
+    delete process.env.RALPH_EXECUTOR;
+    delete process.env.RALPH_SPAWN_SCRIPT;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('checks the state dir can be written', async () => {
+    assert.equal((await checkStateDir(join(dir, 'state'))).status, 'ok');
+    await writeFile(join(dir, 'file'), '');
+    const check = await checkStateDir(join(dir, 'file'));
+    assert.equal(check.status, 'fail');
+    assert.match(check.message, /is not writable/);
+  });
+
+  it('checks the executor the repos use', async () => {
+    process.env.RALPH_EXECUTOR = 'local';
+    process.env.RALPH_SPAWN_SCRIPT = join(dir, 'spawn.sh');
+    const missing = await checkSpawnBackend();
+    assert.equal(missing.status, 'fail');
+    assert.match(missing.message, /^local: .*spawn\.sh is missing or not executable$/);
+
+    await writeFile(join(dir, 'spawn.sh'), '#!/bin/sh\n');
+    await chmod(join(dir, 'spawn.sh'), 0o755);
+    assert.equal((await checkSpawnBackend()).status, 'ok');
+  });
+});
+
+describe('checkNotifications', () => {
+  beforeEach(() => clearNotificationHistory());
+
+  it('fails while the last send to a channel type failed', async () => {
+    assert.deepEqual(checkNotifications(), { status: 'ok', message: 'Nothing sent yet' });
+
+    const message = { kind: 'new-issue', icon: '', title: 'Test', meta: {} };
+    await sendNotification(message, [{ type: 'slack', urlEnv: 'MISSING_SLACK_URL' }]).catch(() => {});
+    const check = checkNotifications();
+    assert.equal(check.status, 'fail');
+    assert.match(check.message, /^slack: last send failed at .* \(slack channel has no URL/);
+  });
+});
+
+describe('createReadinessCheck', () => {
+  it('caches the expensive checks and reports degraded on any failure', async () => {
+    const calls = { stateDir: 0, spawnBackend: 0 };
+    const readiness = createReadinessCheck({
+      cacheMs: 60_000,
+      cached: {
+        stateDir: async () => { calls.stateDir += 1; return { status: 'ok' }; },
+        spawnBackend: async () => { calls.spawnBackend += 1; return { status: 'fail', message: 'down' }; },
+      },
+    });
+
+    const [first, second] = await Promise.all([readiness.run(), readiness.run()]);
+    await readiness.run();
+    assert.deepEqual(calls, { stateDir: 1, spawnBackend: 1 });
+    assert.equal(first.status, 'degraded');
+    assert.deepEqual(Object.keys(first.checks), ['config', 'stateDir', 'spawnBackend', 'notifications']);
+    assert.equal(first.checks.spawnBackend.checkedAt, second.checks.spawnBackend.checkedAt);
+
+    readiness.clear();
+    await readiness.run();
+    assert.deepEqual(calls, { stateDir: 2, spawnBackend: 2 });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMaterialEdit, issueChangeAction } from '../src/issues.js';
+import { defaultIssueEvents } from '../src/repos.js';
+
+describe('isMaterialEdit', () => {
+  it('ignores whitespace, punctuation and case', () => {
+    assert.equal(isMaterialEdit('Crashes on save.', 'crashes  on save!', 1), false);
+  });
+
+  it('counts words added and removed', () => {
+    assert.equal(isMaterialEdit('Crashes on save', 'Crashes on save in Safari 17', 3), true);
+    assert.equal(isMaterialEdit('Crashes on save', 'Crashes on save in Safari', 3), false);
+  });
+
+  it('treats filling in an empty body as material', () => {
+    assert.equal(isMaterialEdit('', 'Steps', 10), true);
+    assert.equal(isMaterialEdit(null, '', 10), false);
+  });
+});
+
+describe('issueChangeAction', () => {
+  const config = defaultIssueEvents;
+
+  it('re-triages material edits only', () => {
+    const issue = { body: 'Steps to reproduce: open the profile page without an avatar and click save twice' };
+    assert.equal(issueChangeAction({ action: 'edited', issue, changes: { body: { from: '' } } }, config).kind, 'triage');
+    assert.equal(issueChangeAction({ action: 'edited', issue, changes: { body: { from: issue.body } } }, config).kind, 'ignore');
+    assert.equal(issueChangeAction({ action: 'edited', issue, changes: {} }, config).reason, 'Body unchanged');
+  });
+
+  it('maps labels to spawn and triage', () => {
+    assert.equal(issueChangeAction({ action: 'labeled', label: { name: 'ralph' } }, config).kind, 'spawn');
+    assert.equal(issueChangeAction({ action: 'labeled', label: { name: 'Needs-Triage' } }, config).kind, 'triage');
+    assert.equal(issueChangeAction({ action: 'labeled', label: { name: 'bug' } }, config).kind, 'ignore');
+  });
+
+  it('respects disabled settings', () => {
+    const off = { ...config, retriageOnReopen: false, cancelOnClose: false, spawnLabels: [] };
+    assert.equal(issueChangeAction({ action: 'reopened' }, off).kind, 'ignore');
+    assert.equal(issueChangeAction({ action: 'closed' }, off).kind, 'ignore');
+    assert.equal(issueChangeAction({ action: 'labeled', label: { name: 'ralph' } }, off).kind, 'ignore');
+  });
+
+  it('ignores unhandled actions', () => {
+    assert.deepEqual(issueChangeAction({ action: 'assigned' }, config), { kind: 'ignore', reason: 'Ignoring action: assigned' });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry, prometheusName } from '../src/metrics.js';
+
+describe('metrics registry', () => {
+  it('renders labeled counters and gauges', () => {
+    const registry = createMetricsRegistry();
+    const hits = registry.counter('triage_dedup_hits_total', 'Dedup hits', ['repo', 'kind']);
+    const jobs = registry.gauge('triage_jobs', 'Jobs', ['state']);
+    hits.inc({ repo: 'atriumn/tariff', kind: 'issue' });
+    hits.inc({ kind: 'issue', repo: 'atriumn/tariff' });
+    hits.inc({ repo: 'atriumn/idynic', kind: 'spawn' });
+    jobs.set({ state: 'pending' }, 3);
+
+    assert.equal(registry.render(), [
+      '# HELP triage_dedup_hits_total Dedup hits',
+      '# TYPE triage_dedup_hits_total counter',
+      'triage_dedup_hits_total{repo="atriumn/tariff",kind="issue"} 2',
+      'triage_dedup_hits_total{repo="atriumn/idynic",kind="spawn"} 1',
+      '# HELP triage_jobs Jobs',
+      '# TYPE triage_jobs gauge',
+      'triage_jobs{state="pending"} 3',
+      '',
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram('triage_spawn_duration_seconds', 'Spawn time', ['outcome'], [1, 5]);
+    latency.observe({ outcome: 'ok' }, 0.5);
+    latency.observe({ outcome: 'ok' }, 3);
+    latency.observe({ outcome: 'ok' }, 9);
+
+    const lines = registry.render().split('\n');
+    assert.deepEqual(lines.slice(2, 7), [
+      'triage_spawn_duration_seconds_bucket{outcome="ok",le="1"} 1',
+      'triage_spawn_duration_seconds_bucket{outcome="ok",le="5"} 2',
+      'triage_spawn_duration_seconds_bucket{outcome="ok",le="+Inf"} 3',
+      'triage_spawn_duration_seconds_sum{outcome="ok"} 12.5',
+      'triage_spawn_duration_seconds_count{outcome="ok"} 3',
+    ]);
+  });
+
+  it('times with labels known only at the end', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram('triage_notification_duration_seconds', 'Send time', ['channel', 'outcome']);
+    const seconds = latency.startTimer({ channel: 'telegram' })({ outcome: 'failed' });
+    assert.ok(seconds >= 0);
+    assert.match(registry.render(), /triage_notification_duration_seconds_count\{channel="telegram",outcome="failed"\} 1/);
+  });
+
+  it('leaves out empty labels and escapes values', () => {
+    const registry = createMetricsRegistry();
+    const errors = registry.counter('triage_errors_total', 'Errors', ['repo']);
+    errors.inc();
+    errors.inc({ repo: 'evil"\\\nrepo' });
+    const lines = registry.render().split('\n');
+    assert.equal(lines[2], 'triage_errors_total 1');
+    assert.equal(lines[3], 'triage_errors_total{repo="evil\\"\\\\\\nrepo"} 1');
+  });
+
+  it('rejects a metric registered twice and resets series', () => {
+    const registry = createMetricsRegistry();
+    const errors = registry.counter('triage_errors_total', 'Errors');
+    assert.throws(() => registry.counter('triage_errors_total', 'Errors'), /already registered/);
+    errors.inc();
+    registry.reset();
+    assert.equal(registry.render(), '# HELP triage_errors_total Errors\n# TYPE triage_errors_total counter\n');
+  });
+});
+
+describe('prometheusName', () => {
+  it('converts JSON counter names', () => {
+    assert.equal(prometheusName('issuesReceived'), 'triage_issues_received_total');
+    assert.equal(prometheusName('errors'), 'triage_errors_total');
+  });
+});
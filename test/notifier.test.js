@@ -1,6 +1,12 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatNewIssueMessage, formatRalphSpawnedMessage } from '../src/notifier.js';
+import {
+  formatNewIssueMessage, formatRalphSpawnedMessage, formatRunUpdateMessage, formatPullRequestMessage,
+} from '../src/notifier.js';
+import { renderText } from '../src/channels.js';
+
+const newIssueText = (...args) => renderText(formatNewIssueMessage(...args));
+const spawnedText = (...args) => renderText(formatRalphSpawnedMessage(...args));
 
 function makeIssue(overrides = {}) {
   return {
@@ -12,70 +18,250 @@ function makeIssue(overrides = {}) {
 
 describe('formatNewIssueMessage', () => {
   it('includes repo and issue number in header', () => {
-    const msg = formatNewIssueMessage('idynic', 784, makeIssue());
-    assert.ok(msg.includes('\u{1F4CB} New Issue: idynic#784'));
+    const msg = newIssueText('atriumn/idynic', 784, makeIssue());
+    assert.ok(msg.includes('\u{1F4CB} New Issue: atriumn/idynic#784'));
   });
 
   it('includes issue title', () => {
-    const msg = formatNewIssueMessage('idynic', 784, makeIssue());
+    const msg = newIssueText('atriumn/idynic', 784, makeIssue());
     assert.ok(msg.includes('Add smooth transition animation'));
   });
 
   it('includes body preview', () => {
-    const msg = formatNewIssueMessage('idynic', 784, makeIssue());
+    const msg = newIssueText('atriumn/idynic', 784, makeIssue());
     assert.ok(msg.includes('The signup/signin form transition is jarring'));
   });
 
   it('truncates long body to 200 chars', () => {
     const longBody = 'x'.repeat(300);
-    const msg = formatNewIssueMessage('idynic', 1, makeIssue({ body: longBody }));
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue({ body: longBody }));
     assert.ok(msg.includes('x'.repeat(200) + '...'));
     assert.ok(!msg.includes('x'.repeat(201)));
   });
 
   it('handles empty body', () => {
-    const msg = formatNewIssueMessage('idynic', 1, makeIssue({ body: '' }));
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue({ body: '' }));
     assert.ok(!msg.includes('...'));
     // Should still have the header and URL
-    assert.ok(msg.includes('\u{1F4CB} New Issue: idynic#1'));
+    assert.ok(msg.includes('\u{1F4CB} New Issue: atriumn/idynic#1'));
     assert.ok(msg.includes('https://github.com/atriumn/idynic/issues/1'));
   });
 
   it('handles null body', () => {
-    const msg = formatNewIssueMessage('idynic', 1, makeIssue({ body: null }));
-    assert.ok(msg.includes('\u{1F4CB} New Issue: idynic#1'));
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue({ body: null }));
+    assert.ok(msg.includes('\u{1F4CB} New Issue: atriumn/idynic#1'));
   });
 
   it('includes issue URL', () => {
-    const msg = formatNewIssueMessage('veriumn', 99, makeIssue());
+    const msg = newIssueText('atriumn/veriumn', 99, makeIssue());
     assert.ok(msg.includes('https://github.com/atriumn/veriumn/issues/99'));
   });
 
   it('includes /ralph instruction', () => {
-    const msg = formatNewIssueMessage('idynic', 1, makeIssue());
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue());
     assert.ok(msg.includes('Reply /ralph on the issue to auto-fix.'));
   });
 });
 
 describe('formatRalphSpawnedMessage', () => {
   it('includes repo and issue number', () => {
-    const msg = formatRalphSpawnedMessage('idynic', 784, 'Add transition animation');
-    assert.ok(msg.includes('\u{1F680} Ralph spawned: idynic#784'));
+    const msg = spawnedText('atriumn/idynic', 784, 'Add transition animation');
+    assert.ok(msg.includes('\u{1F680} Ralph spawned: atriumn/idynic#784'));
   });
 
   it('includes issue title', () => {
-    const msg = formatRalphSpawnedMessage('idynic', 784, 'Add transition animation');
+    const msg = spawnedText('atriumn/idynic', 784, 'Add transition animation');
     assert.ok(msg.includes('Add transition animation'));
   });
 
   it('includes session name', () => {
-    const msg = formatRalphSpawnedMessage('idynic', 784, 'Add transition animation');
-    assert.ok(msg.includes('Session: idynic-784'));
+    const msg = spawnedText('atriumn/idynic', 784, 'Add transition animation');
+    assert.ok(msg.includes('Session: atriumn~idynic-784'));
   });
 
   it('works with different repos', () => {
-    const msg = formatRalphSpawnedMessage('ovrly', 10, 'Fix layout bug');
-    assert.ok(msg.includes('\u{1F680} Ralph spawned: ovrly#10'));
-    assert.ok(msg.includes('Session: ovrly-10'));
+    const msg = spawnedText('atriumn/ovrly', 10, 'Fix layout bug');
+    assert.ok(msg.includes('\u{1F680} Ralph spawned: atriumn/ovrly#10'));
+    assert.ok(msg.includes('Session: atriumn~ovrly-10'));
+  });
+});
+
+describe('formatNewIssueMessage with analysis', () => {
+  const analysis = {
+    type: 'bug',
+    severity: 'high',
+    autoFixable: true,
+    confidence: 0.92,
+    reasoning: 'Null avatar is dereferenced.',
+    acceptanceCriteria: [],
+    needsClarification: [],
+    ralphPrompt: '',
+  };
+
+  it('includes type, severity and confidence', () => {
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis);
+    assert.ok(msg.includes('bug · high · 92% confidence'));
+  });
+
+  it('includes reasoning', () => {
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis);
+    assert.ok(msg.includes('Null avatar is dereferenced.'));
+  });
+
+  it('omits classification for degraded analysis', () => {
+    const degraded = { ...analysis, degraded: true, confidence: 0, reasoning: 'Automated analysis unavailable: timeout' };
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), degraded);
+    assert.ok(!msg.includes('% confidence'));
+    assert.ok(msg.includes('Automated analysis unavailable: timeout'));
+  });
+});
+
+describe('formatNewIssueMessage with decision', () => {
+  const analysis = {
+    type: 'bug',
+    severity: 'medium',
+    autoFixable: true,
+    confidence: 0.9,
+    reasoning: 'Vague repro.',
+    acceptanceCriteria: [],
+    needsClarification: ['Which browser?', 'Does it happen on mobile?'],
+    ralphPrompt: '',
+  };
+
+  it('announces auto-spawn', () => {
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis, { action: 'auto-spawn', reason: 'Confidence 90% ≥ 85%' });
+    assert.ok(msg.includes('Auto-spawning Ralph (Confidence 90% ≥ 85%)'));
+    assert.ok(!msg.includes('Reply /ralph'));
+  });
+
+  it('offers a fix with the /ralph instruction', () => {
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis, { action: 'offer-fix', reason: 'Confidence 75% ≥ 70%' });
+    assert.ok(msg.includes('Looks fixable (Confidence 75% ≥ 70%)'));
+    assert.ok(msg.includes('Reply /ralph on the issue to auto-fix.'));
+  });
+
+  it('warns about possible prompt injection', () => {
+    const injection = [{ rule: 'ignore-instructions', excerpt: 'Ignore all previous instructions' }];
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis, { action: 'notify', reason: 'Possible prompt injection', injection });
+    assert.ok(msg.includes('auto-spawn blocked'));
+    assert.ok(msg.includes('/ralph force'));
+  });
+
+  it('redacts secrets in the body preview', () => {
+    const token = `ghp_${'a'.repeat(36)}`;
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue({ body: `Fails with token ${token}` }), analysis);
+    assert.ok(!msg.includes(token));
+    assert.ok(msg.includes('[REDACTED github-token]'));
+  });
+
+  it('lists clarification questions', () => {
+    const msg = newIssueText('atriumn/idynic', 1, makeIssue(), analysis, { action: 'clarify', reason: '2 open question(s)' });
+    assert.ok(msg.includes('1. Which browser?'));
+    assert.ok(msg.includes('2. Does it happen on mobile?'));
+  });
+});
+
+describe('message structure', () => {
+  it('is channel-neutral with structured meta', () => {
+    const msg = formatNewIssueMessage('atriumn/idynic', 5, makeIssue());
+    assert.equal(msg.kind, 'new-issue');
+    assert.equal(msg.title, 'New Issue: atriumn/idynic#5');
+    assert.equal(msg.subtitle, 'Add smooth transition animation');
+    assert.equal(msg.url, 'https://github.com/atriumn/idynic/issues/5');
+    assert.deepEqual({ repo: msg.meta.repo, number: msg.meta.number }, { repo: 'atriumn/idynic', number: 5 });
+  });
+
+  it('links the issue from the payload, for any owner', () => {
+    const msg = formatNewIssueMessage('clientco/api', 5, makeIssue({ html_url: 'https://github.example.com/clientco/api/issues/5' }));
+    assert.equal(msg.url, 'https://github.example.com/clientco/api/issues/5');
+  });
+
+  it('offers Telegram buttons unless Ralph is already on it', () => {
+    const injection = [{ rule: 'ignore-instructions', excerpt: 'Ignore all previous instructions' }];
+    const analysis = {
+      type: 'bug', severity: 'low', autoFixable: false, confidence: 0.4, reasoning: 'Vague',
+      acceptanceCriteria: [], needsClarification: ['Which page?'], ralphPrompt: '',
+    };
+    const actions = (decision) => formatNewIssueMessage('atriumn/idynic', 5, makeIssue(), analysis, decision).actions;
+    assert.deepEqual(actions(undefined), ['spawn', 'clarify', 'dismiss', 'snooze']);
+    assert.deepEqual(actions({ action: 'clarify', reason: '' }), ['spawn', 'dismiss', 'snooze']);
+    assert.deepEqual(actions({ action: 'notify', reason: '', injection }), ['clarify', 'dismiss', 'snooze']);
+    assert.equal(actions({ action: 'auto-spawn', reason: '' }), undefined);
+  });
+
+  it('carries clarification questions as a list', () => {
+    const analysis = {
+      type: 'bug', severity: 'low', autoFixable: false, confidence: 0.4, reasoning: 'Vague',
+      acceptanceCriteria: [], needsClarification: ['Which page?'], ralphPrompt: '',
+    };
+    const msg = formatNewIssueMessage('atriumn/idynic', 5, makeIssue(), analysis, { action: 'clarify', reason: '1 open question(s)' });
+    assert.deepEqual(msg.list.items, ['Which page?']);
+  });
+
+  it('renders the new issue message in the original Telegram layout', () => {
+    assert.equal(newIssueText('atriumn/idynic', 1, makeIssue({ body: 'Short body' })), [
+      '\u{1F4CB} New Issue: atriumn/idynic#1',
+      'Add smooth transition animation',
+      '',
+      'Short body',
+      '',
+      '\u{1F517} https://github.com/atriumn/idynic/issues/1',
+      'Reply /ralph on the issue to auto-fix.',
+    ].join('\n'));
+  });
+
+  it('describes the spawned session', () => {
+    const msg = formatRalphSpawnedMessage('atriumn/ovrly', 10, 'Fix layout bug');
+    assert.equal(msg.kind, 'ralph-spawned');
+    assert.equal(msg.meta.session, 'atriumn~ovrly-10');
+  });
+});
+
+describe('formatRunUpdateMessage', () => {
+  const run = {
+    session: 'atriumn~idynic-42',
+    repo: 'atriumn/idynic',
+    number: 42,
+    title: 'Crash on profile',
+    state: 'succeeded',
+    message: 'All tests pass',
+    prUrl: 'https://github.com/atriumn/idynic/pull/7',
+  };
+
+  it('links the PR and shows the final message', () => {
+    const message = formatRunUpdateMessage(run);
+    assert.equal(message.kind, 'run-update');
+    assert.equal(message.title, 'Ralph succeeded: atriumn/idynic#42');
+    assert.equal(message.url, 'https://github.com/atriumn/idynic/pull/7');
+    assert.deepEqual(message.paragraphs, ['All tests pass']);
+    assert.equal(message.meta.state, 'succeeded');
+  });
+
+  it('falls back to the issue URL', () => {
+    const message = formatRunUpdateMessage({ ...run, state: 'failed', prUrl: undefined });
+    assert.equal(message.url, 'https://github.com/atriumn/idynic/issues/42');
+    const withUrl = formatRunUpdateMessage({ ...run, prUrl: undefined, url: 'https://github.example.com/atriumn/idynic/issues/42' });
+    assert.equal(withUrl.url, 'https://github.example.com/atriumn/idynic/issues/42');
+  });
+});
+
+describe('formatPullRequestMessage', () => {
+  it('names the PR and the issue it fixes', () => {
+    const run = { session: 'atriumn~idynic-42', repo: 'atriumn/idynic', number: 42, title: 'Crash on profile' };
+    const pr = { number: 7, url: 'https://github.com/atriumn/idynic/pull/7', title: 'Guard avatar', state: 'merged' };
+    const message = formatPullRequestMessage(run, pr);
+    assert.equal(message.title, 'PR merged: atriumn/idynic#7');
+    assert.deepEqual(message.paragraphs, ['For atriumn/idynic#42 (Crash on profile)']);
+    assert.equal(message.url, pr.url);
+    assert.equal(message.meta.prState, 'merged');
+  });
+
+  it('redacts secrets in the PR and issue titles', () => {
+    const token = `ghp_${'a'.repeat(36)}`;
+    const run = { session: 'atriumn~idynic-42', repo: 'atriumn/idynic', number: 42, title: `Leaked ${token}` };
+    const pr = { number: 7, url: 'https://github.com/atriumn/idynic/pull/7', title: `Rotate ${token}<!-- hidden -->`, state: 'open' };
+    const message = formatPullRequestMessage(run, pr);
+    assert.equal(message.subtitle, 'Rotate [REDACTED github-token]');
+    assert.deepEqual(message.paragraphs, ['For atriumn/idynic#42 (Leaked [REDACTED github-token])']);
   });
 });
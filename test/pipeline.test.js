@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPipeline, findStep } from '../src/pipeline.js';
+import { determineAction } from '../src/analyzer.js';
+import { defaultNoAutoFixPatterns } from '../src/repos.js';
+
+function makeAnalysis(overrides = {}) {
+  return {
+    type: 'bug',
+    severity: 'high',
+    autoFixable: true,
+    confidence: 0.92,
+    reasoning: 'Null avatar is dereferenced.',
+    acceptanceCriteria: [],
+    needsClarification: [],
+    ralphPrompt: 'Guard the avatar access',
+    ...overrides,
+  };
+}
+
+function makeEvent(overrides = {}) {
+  return {
+    repo: 'atriumn/idynic',
+    number: 42,
+    issue: { number: 42, title: 'TypeError in ProfileEdit.tsx', body: 'Crashes without avatar' },
+    repoConf: {
+      enabled: true,
+      projectDir: '/tmp/idynic',
+      autoSpawnEnabled: true,
+      priority: 'high',
+      noAutoFixPatterns: defaultNoAutoFixPatterns,
+    },
+    ...overrides,
+  };
+}
+
+/** Fake deps that record every call; individual functions can be overridden. */
+function makeDeps(analysis, overrides = {}) {
+  const calls = [];
+  const record = (name, fn = async () => {}) => async (...args) => {
+    calls.push({ name, args });
+    return fn(...args);
+  };
+  return {
+    calls,
+    analyzer: { analyzeIssue: record('analyzeIssue', async () => analysis), determineAction },
+    notifier: {
+      notifyNewIssue: record('notifyNewIssue', overrides.notifyNewIssue),
+      notifyRalphSpawned: record('notifyRalphSpawned'),
+    },
+    spawner: { spawnRalph: record('spawnRalph', overrides.spawnRalph) },
+    clarifier: { postClarification: record('postClarification') },
+  };
+}
+
+const callNames = (deps) => deps.calls.map(c => c.name);
+
+describe('runPipeline', () => {
+  it('auto-spawns, notifies and reports every step', async () => {
+    const deps = makeDeps(makeAnalysis());
+    const result = await runPipeline(makeEvent(), deps);
+
+    assert.equal(result.ok, true);
+    assert.equal(result.decision.action, 'auto-spawn');
+    assert.deepEqual(callNames(deps), ['analyzeIssue', 'spawnRalph', 'notifyNewIssue', 'notifyRalphSpawned']);
+    assert.deepEqual(result.steps.map(s => s.step), ['analyze', 'decide', 'spawn', 'notify', 'notify-spawned']);
+  });
+
+  it('passes the analysis to the spawner', async () => {
+    const analysis = makeAnalysis();
+    const deps = makeDeps(analysis);
+    await runPipeline(makeEvent(), deps);
+    const spawn = deps.calls.find(c => c.name === 'spawnRalph');
+    assert.deepEqual(spawn.args.slice(0, 2), ['atriumn/idynic', 42]);
+    assert.equal(spawn.args[3].analysis, analysis);
+  });
+
+  it('posts clarification questions', async () => {
+    const deps = makeDeps(makeAnalysis({ needsClarification: ['Which browser?'] }));
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(findStep(result, 'clarify').status, 'ok');
+    const post = deps.calls.find(c => c.name === 'postClarification');
+    assert.deepEqual(post.args, ['atriumn/idynic', 42, ['Which browser?']]);
+  });
+
+  it('skips clarification when no clarifier is configured', async () => {
+    const deps = { ...makeDeps(makeAnalysis({ needsClarification: ['Which browser?'] })), clarifier: null };
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(findStep(result, 'clarify').status, 'skipped');
+    assert.equal(result.ok, true);
+  });
+
+  it('only notifies for offer-fix', async () => {
+    const deps = makeDeps(makeAnalysis({ confidence: 0.75 }));
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(result.decision.action, 'offer-fix');
+    assert.deepEqual(callNames(deps), ['analyzeIssue', 'notifyNewIssue']);
+  });
+
+  it('still notifies when the spawn fails', async () => {
+    const deps = makeDeps(makeAnalysis(), { spawnRalph: async () => { throw new Error('docker down'); } });
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(result.ok, false);
+    assert.deepEqual(findStep(result, 'spawn'), { step: 'spawn', status: 'failed', error: 'docker down' });
+    assert.equal(findStep(result, 'notify').status, 'ok');
+    assert.equal(findStep(result, 'notify-spawned'), undefined);
+  });
+
+  it('reports a failed notification without throwing', async () => {
+    const deps = makeDeps(makeAnalysis({ autoFixable: false }), {
+      notifyNewIssue: async () => { throw new Error('Telegram API error 500'); },
+    });
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(result.ok, false);
+    assert.equal(findStep(result, 'notify').error, 'Telegram API error 500');
+  });
+
+  it('hands failed spawns and notifications to the retry queue', async () => {
+    const slack = { type: 'slack', url: 'https://hooks.example/x' };
+    const deps = makeDeps(makeAnalysis(), {
+      spawnRalph: async () => { throw new Error('docker down'); },
+      notifyNewIssue: async () => {
+        throw Object.assign(new Error('slack: 502'), { failures: [{ channel: slack, error: new Error('502') }] });
+      },
+    });
+    const queued = [];
+    deps.queue = { retry: (type, payload) => { queued.push({ type, payload }); return { id: `job-${queued.length}` }; } };
+
+    const result = await runPipeline(makeEvent(), deps);
+    assert.deepEqual(queued.map(j => j.type), ['spawn', 'notify-issue']);
+    assert.equal(queued[0].payload.extras.analysis, result.analysis);
+    assert.deepEqual(queued[1].payload.channels, [slack]);
+    assert.equal(findStep(result, 'spawn').retry, 'queued');
+    assert.equal(findStep(result, 'notify').jobId, 'job-2');
+  });
+
+  it('hands auto-spawns to the scheduler when one is set', async () => {
+    const submitted = [];
+    const deps = makeDeps(makeAnalysis());
+    deps.scheduler = { submit: job => { submitted.push(job); return { started: false, position: 2 }; } };
+    const result = await runPipeline(makeEvent(), deps);
+
+    assert.deepEqual(callNames(deps), ['analyzeIssue', 'notifyNewIssue']);
+    assert.equal(submitted[0].trigger, 'auto');
+    assert.deepEqual(findStep(result, 'spawn'), { step: 'spawn', status: 'ok', scheduled: 'queued', position: 2 });
+  });
+
+  it('skips the spawn when Ralph was already spawned', async () => {
+    const deps = makeDeps(makeAnalysis());
+    deps.dedup = { isDuplicate: () => true, markProcessed: () => {} };
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(findStep(result, 'spawn').status, 'skipped');
+    assert.ok(!callNames(deps).includes('spawnRalph'));
+  });
+
+  it('offers the fix instead of auto-spawning when Ralph already has a run for the issue', async () => {
+    const deps = makeDeps(makeAnalysis());
+    deps.dedup = { isDuplicate: () => false, markProcessed: () => {} };
+    deps.runs = { get: session => (session === 'atriumn~idynic-42' ? { session, state: 'succeeded' } : undefined) };
+    const result = await runPipeline(makeEvent(), deps);
+
+    assert.deepEqual(callNames(deps), ['analyzeIssue', 'notifyNewIssue']);
+    assert.equal(result.decision.action, 'offer-fix');
+    assert.match(result.decision.reason, /Ralph already ran for this issue$/);
+    assert.equal(findStep(result, 'spawn'), undefined);
+  });
+
+  it('marks the ralph dedup key before spawning', async () => {
+    const marked = [];
+    const deps = makeDeps(makeAnalysis());
+    deps.dedup = { isDuplicate: () => false, markProcessed: key => marked.push(key) };
+    await runPipeline(makeEvent(), deps);
+    assert.deepEqual(marked, ['ralph:atriumn/idynic#42']);
+  });
+
+  it('stops when the analyzer throws', async () => {
+    const deps = makeDeps(null);
+    deps.analyzer = { analyzeIssue: async () => { throw new Error('boom'); }, determineAction };
+    const result = await runPipeline(makeEvent(), deps);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.steps, [{ step: 'analyze', status: 'failed', error: 'boom' }]);
+  });
+});
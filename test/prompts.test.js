@@ -0,0 +1,163 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  parseTemplate, renderTemplate, loadTemplates, templateName, templateTarget, promptVariables, renderPrompt,
+} from '../src/prompts.js';
+
+const render = (source, vars) => renderTemplate(parseTemplate(source), vars);
+
+/** Write templates (file name → source) to a fresh directory */
+async function makeTemplateDir(files) {
+  const dir = await mkdtemp(join(tmpdir(), 'templates-'));
+  for (const [name, source] of Object.entries(files)) await writeFile(join(dir, name), source);
+  return dir;
+}
+
+describe('parseTemplate / renderTemplate', () => {
+  it('substitutes variables', () => {
+    assert.equal(render('Fix {{repo}}#{{ number }}', { repo: 'idynic', number: '42' }), 'Fix idynic#42');
+  });
+
+  it('renders sections only when the variable is non-empty', () => {
+    const source = 'A\n{{#instructions}}\nNote: {{instructions}}\n{{/instructions}}\nB';
+    assert.equal(render(source, { instructions: 'careful' }), 'A\nNote: careful\nB');
+    assert.equal(render(source, { instructions: '' }), 'A\nB');
+  });
+
+  it('reports unknown variables and unbalanced sections', () => {
+    assert.throws(() => parseTemplate('{{reop}} {{#title}} {{/body}}'), err => {
+      assert.deepEqual(err.problems, [
+        'unknown variable {{reop}}',
+        '{{/body}} does not close an open section',
+        '{{#title}} is never closed',
+      ]);
+      return true;
+    });
+  });
+
+  it('reports malformed tags', () => {
+    assert.throws(() => parseTemplate('{{title} is broken'), /malformed/);
+  });
+});
+
+describe('promptVariables', () => {
+  it('flattens the issue, analysis and instructions', () => {
+    const issue = { title: 'Crash', body: null, labels: [{ name: 'bug' }, 'p1'], user: { login: 'octocat' } };
+    const vars = promptVariables('atriumn/idynic', 42, { ...issue, html_url: 'https://github.com/atriumn/idynic/issues/42' }, {
+      analysis: { type: 'feature', ralphPrompt: 'Guard it', acceptanceCriteria: ['Loads', 'Has a test'] },
+      instructions: 'Keep it small',
+    });
+    assert.deepEqual(vars, {
+      repo: 'atriumn/idynic',
+      number: '42',
+      url: 'https://github.com/atriumn/idynic/issues/42',
+      title: 'Crash',
+      body: '(no description)',
+      labels: 'bug, p1',
+      author: 'octocat',
+      type: 'feature',
+      triageNotes: 'Guard it',
+      acceptanceCriteria: '- Loads\n- Has a test',
+      instructions: 'Keep it small',
+      comments: '',
+      references: '',
+    });
+  });
+
+  it('takes labels, comments and references from the fetched context', () => {
+    const context = { labels: ['bug', 'p1'], comments: '@alice commented', references: '#12 (issue, open)', omitted: 0, errors: [] };
+    const vars = promptVariables('atriumn/idynic', 1, { title: 'x', labels: [] }, { context });
+    assert.equal(vars.labels, 'bug, p1');
+    assert.equal(vars.type, 'bug');
+    assert.equal(vars.comments, '```untrusted\n@alice commented\n```');
+    assert.equal(vars.references, '```untrusted\n#12 (issue, open)\n```');
+  });
+
+  it('takes the type from a label when there is no analysis', () => {
+    assert.equal(promptVariables('atriumn/idynic', 1, { title: 'x', labels: [{ name: 'docs' }] }).type, 'docs');
+  });
+
+  it('builds the issue URL when the payload has none', () => {
+    assert.equal(promptVariables('clientco/idynic', 3, { title: 'x' }).url, 'https://github.com/clientco/idynic/issues/3');
+  });
+});
+
+describe('loadTemplates', () => {
+  it('rejects bad file names, unknown types and repos, and a missing default', async () => {
+    const dir = await makeTemplateDir({
+      'type.bugz.md': 'x',
+      'repo.atriumn.nope.md': 'x',
+      'repo.idynic.md': 'x',
+      'repo.atriumn.idynic.bug.md': '{{#title}}',
+      'repo.atriumn.atriumn-site.md': 'x',
+    });
+    try {
+      assert.throws(() => loadTemplates(dir), err => {
+        assert.equal(err.problems.length, 5);
+        assert.match(err.message, /type\.bugz\.md: unknown issue type bugz/);
+        assert.match(err.message, /repo\.atriumn\.nope\.md: unknown repo atriumn\/nope/);
+        assert.match(err.message, /repo\.idynic\.md: name must be/);
+        assert.match(err.message, /repo\.atriumn\.idynic\.bug\.md: \{\{#title\}\} is never closed/);
+        assert.match(err.message, /default\.md is missing/);
+        return true;
+      });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('validates the shipped templates', () => {
+    assert.ok(loadTemplates().has('default.md'));
+  });
+});
+
+describe('templateName', () => {
+  const templates = new Map(['default.md', 'type.bug.md', 'repo.atriumn.idynic.md', 'repo.atriumn.tariff.bug.md'].map(n => [n, []]));
+
+  it('prefers repo + type, then repo, then type, then default', () => {
+    assert.equal(templateName(templates, 'atriumn/tariff', 'bug'), 'repo.atriumn.tariff.bug.md');
+    assert.equal(templateName(templates, 'atriumn/idynic', 'bug'), 'repo.atriumn.idynic.md');
+    assert.equal(templateName(templates, 'clientco/idynic', 'bug'), 'type.bug.md');
+    assert.equal(templateName(templates, 'atriumn/ovrly', 'feature'), 'default.md');
+    assert.equal(templateName(templates, 'atriumn/ovrly', ''), 'default.md');
+  });
+});
+
+describe('templateTarget', () => {
+  it('splits owner, name and type, allowing dots in the name', () => {
+    assert.deepEqual(templateTarget('default.md'), { type: undefined });
+    assert.deepEqual(templateTarget('type.docs.md'), { type: 'docs' });
+    assert.deepEqual(templateTarget('repo.atriumn.idynic.bug.md'), { repo: 'atriumn/idynic', type: 'bug' });
+    assert.deepEqual(templateTarget('repo.acme.site.io.md'), { repo: 'acme/site.io', type: undefined });
+    assert.equal(templateTarget('repo.idynic'), null);
+  });
+});
+
+describe('renderPrompt', () => {
+  let dir;
+
+  before(async () => {
+    dir = await makeTemplateDir({
+      'default.md': 'Fix {{repo}}#{{number}}\n',
+      'repo.atriumn.tariff.md': 'Run `npm run check` first.\n\nFix {{title}} for {{author}}\n',
+    });
+    process.env.TEMPLATE_DIR = dir;
+  });
+
+  after(async () => {
+    delete process.env.TEMPLATE_DIR;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('uses the repo override and trims the result', () => {
+    const issue = { title: 'Rounding', user: { login: 'jeff' } };
+    assert.deepEqual(renderPrompt('atriumn/tariff', 7, issue), {
+      template: 'repo.atriumn.tariff.md',
+      prompt: 'Run `npm run check` first.\n\nFix Rounding for jeff',
+    });
+    assert.equal(renderPrompt('atriumn/idynic', 8, issue).prompt, 'Fix atriumn/idynic#8');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIssueReferences, parseClosingReferences, pullRequestState } from '../src/pulls.js';
+
+describe('parseIssueReferences', () => {
+  it('finds #n, owner/repo#n and issue URLs', () => {
+    const text = 'Fixes #12\nSee atriumn/idynic#13 and https://github.com/atriumn/idynic/issues/14';
+    assert.deepEqual(parseIssueReferences(text, 'atriumn/idynic'), [12, 13, 14]);
+  });
+
+  it('ignores references to other repos', () => {
+    const text = 'Related: atriumn/tariff#5, https://github.com/other/idynic/issues/6';
+    assert.deepEqual(parseIssueReferences(text, 'atriumn/idynic'), []);
+  });
+
+  it('dedupes and tolerates an empty body', () => {
+    assert.deepEqual(parseIssueReferences('Fixes #3, closes #3', 'atriumn/idynic'), [3]);
+    assert.deepEqual(parseIssueReferences(null, 'atriumn/idynic'), []);
+  });
+});
+
+describe('parseClosingReferences', () => {
+  it('finds issues after a closing keyword', () => {
+    const text = 'Fixes #12\ncloses atriumn/idynic#13, Resolved: https://github.com/atriumn/idynic/issues/14\nFIX #15';
+    assert.deepEqual(parseClosingReferences(text, 'atriumn/idynic'), [12, 13, 14, 15]);
+  });
+
+  it('ignores passing mentions', () => {
+    const text = 'See #12, related to atriumn/idynic#13 and https://github.com/atriumn/idynic/issues/14. Prefixes #15';
+    assert.deepEqual(parseClosingReferences(text, 'atriumn/idynic'), []);
+  });
+
+  it('ignores other repos', () => {
+    assert.deepEqual(parseClosingReferences('Fixes atriumn/tariff#5', 'atriumn/idynic'), []);
+  });
+});
+
+describe('pullRequestState', () => {
+  it('distinguishes merged from closed', () => {
+    assert.equal(pullRequestState('opened', {}), 'open');
+    assert.equal(pullRequestState('reopened', {}), 'open');
+    assert.equal(pullRequestState('closed', { merged: true }), 'merged');
+    assert.equal(pullRequestState('closed', { merged: false }), 'closed');
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue, isRetryableError, retryDelay } from '../src/queue.js';
+import { createMemoryStore } from '../src/state.js';
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status }, extra);
+}
+
+/** Queue whose jobs are due immediately; `outcomes` are thrown (Error) or returned in turn */
+function makeQueue(outcomes, options = {}) {
+  const calls = [];
+  const store = createMemoryStore();
+  const queue = createJobQueue(store, {
+    send: async (payload) => {
+      calls.push(payload);
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+    },
+  }, { baseDelayMs: 0, ...options });
+  return { queue, store, calls };
+}
+
+describe('isRetryableError', () => {
+  it('retries rate limits, server errors and network failures', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError(httpError(408)), true);
+    assert.equal(isRetryableError(new Error('ECONNRESET')), true);
+  });
+
+  it('treats other client errors as permanent', () => {
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(httpError(404)), false);
+  });
+
+  it('honours an explicit retryable flag', () => {
+    assert.equal(isRetryableError(Object.assign(httpError(500), { retryable: false })), false);
+  });
+
+  it('retries aggregated failures if any channel can be retried', () => {
+    const err = Object.assign(new Error('x'), {
+      failures: [{ error: httpError(400) }, { error: httpError(502) }],
+    });
+    assert.equal(isRetryableError(err), true);
+    err.failures.pop();
+    assert.equal(isRetryableError(err), false);
+  });
+});
+
+describe('retryDelay', () => {
+  const settings = { baseDelayMs: 1000, maxDelayMs: 10_000 };
+
+  it('backs off exponentially with jitter', () => {
+    assert.equal(retryDelay(1, new Error('x'), { ...settings, random: () => 0 }), 500);
+    assert.equal(retryDelay(1, new Error('x'), { ...settings, random: () => 1 }), 1000);
+    assert.equal(retryDelay(3, new Error('x'), { ...settings, random: () => 1 }), 4000);
+    assert.equal(retryDelay(10, new Error('x'), { ...settings, random: () => 1 }), 10_000);
+  });
+
+  it('prefers the server retry-after hint', () => {
+    assert.equal(retryDelay(1, httpError(429, { retryAfter: 7 }), settings), 7000);
+    const aggregated = Object.assign(new Error('x'), { failures: [{ error: httpError(429, { retryAfter: 3 }) }] });
+    assert.equal(retryDelay(1, aggregated, settings), 3000);
+  });
+});
+
+describe('createJobQueue', () => {
+  it('runs a queued job and removes it on success', async () => {
+    const { queue, calls } = makeQueue([undefined]);
+    const job = queue.retry('send', { n: 1 }, httpError(503));
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'HTTP 503');
+    assert.deepEqual(queue.stats(), { pending: 1, dead: 0 });
+
+    assert.equal(await queue.runDue(), 1);
+    assert.deepEqual(calls, [{ n: 1 }]);
+    assert.deepEqual(queue.stats(), { pending: 0, dead: 0 });
+  });
+
+  it('waits for the backoff delay before running', async () => {
+    const { queue, calls } = makeQueue([], { baseDelayMs: 60_000 });
+    queue.retry('send', { n: 1 }, httpError(503));
+    assert.equal(await queue.runDue(), 0);
+    assert.equal(calls.length, 0);
+  });
+
+  it('runs a scheduled job once its delay has passed', async () => {
+    const { queue, store, calls } = makeQueue([undefined]);
+    const job = queue.schedule('send', { n: 1 }, 60_000);
+    assert.equal(job.attempts, 0);
+    assert.equal(await queue.runDue(), 0);
+
+    store.set('jobs', job.id, { ...job, nextRunAt: Date.now() });
+    assert.equal(await queue.runDue(), 1);
+    assert.deepEqual(calls, [{ n: 1 }]);
+  });
+
+  it('dead-letters permanent errors without retrying', () => {
+    const { queue } = makeQueue([]);
+    const job = queue.retry('send', { n: 1 }, httpError(403));
+    assert.ok(job.deadAt);
+    assert.deepEqual(queue.stats(), { pending: 0, dead: 1 });
+  });
+
+  it('dead-letters after maxAttempts', async () => {
+    const { queue, calls } = makeQueue([httpError(500), httpError(500)], { maxAttempts: 3 });
+    queue.retry('send', { n: 1 }, httpError(500));
+    await queue.runDue();
+    assert.equal(queue.pending()[0].attempts, 2);
+    await queue.runDue();
+    assert.equal(calls.length, 2);
+    const [dead] = queue.deadLetters();
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.lastError, 'HTTP 500');
+  });
+
+  it('re-drives a dead letter with a fresh attempt budget', async () => {
+    const { queue, calls } = makeQueue([undefined]);
+    const job = queue.retry('send', { n: 1 }, httpError(400));
+    assert.equal(queue.redrive('missing'), null);
+
+    const requeued = queue.redrive(job.id);
+    assert.equal(requeued.attempts, 0);
+    assert.equal(requeued.deadAt, undefined);
+    await queue.runDue();
+    assert.deepEqual(calls, [{ n: 1 }]);
+    assert.deepEqual(queue.stats(), { pending: 0, dead: 0 });
+  });
+
+  it('keeps jobs in the store so they survive restarts', async () => {
+    const { queue, store } = makeQueue([]);
+    queue.retry('send', { n: 1 }, httpError(503));
+    const calls = [];
+    const restarted = createJobQueue(store, { send: async p => { calls.push(p); } }, { baseDelayMs: 0 });
+    await restarted.runDue();
+    assert.deepEqual(calls, [{ n: 1 }]);
+  });
+
+  it('rejects unknown job types', () => {
+    const { queue } = makeQueue([]);
+    assert.throws(() => queue.retry('nope', {}, new Error('x')), /Unknown job type/);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildServer } from '../src/index.js';
+import { createMemoryStore } from '../src/state.js';
+import {
+  listFixtures, loadPayload, inferEvent, postWebhook, replayInProcess, formatReport,
+} from '../src/replay.js';
+
+const ANALYSIS = {
+  type: 'bug',
+  severity: 'high',
+  autoFixable: true,
+  confidence: 0.93,
+  reasoning: 'ProfileCard reads avatar.url without a guard.',
+  acceptanceCriteria: ['Saving without an avatar works'],
+  needsClarification: [],
+  ralphPrompt: 'Guard avatar access',
+};
+
+describe('loadPayload and inferEvent', () => {
+  it('loads fixtures by name and tells their events apart', async () => {
+    assert.deepEqual(await listFixtures(), ['issue_comment-ralph', 'issues-opened', 'pull_request-opened']);
+    for (const [fixture, event] of [
+      ['issues-opened', 'issues'], ['issue_comment-ralph', 'issue_comment'], ['pull_request-opened', 'pull_request'],
+    ]) {
+      const { body, payload } = await loadPayload(fixture);
+      assert.equal(typeof body, 'string');
+      assert.equal(inferEvent(payload), event);
+    }
+    assert.equal(inferEvent({ action: 'created' }), undefined);
+  });
+
+  it('names the fixtures when nothing matches', async () => {
+    await assert.rejects(loadPayload('issues-closed'), /No file or fixture named issues-closed \(fixtures: issue_comment-ralph, /);
+  });
+});
+
+describe('replayInProcess', () => {
+  before(() => { process.env.GITHUB_WEBHOOK_SECRET = 'replay-secret'; });
+  after(() => { delete process.env.GITHUB_WEBHOOK_SECRET; });
+
+  it('reports the decision, notifications and prompt of a dry run', async () => {
+    const { body } = await loadPayload('issues-opened');
+    const report = await replayInProcess({ body, event: 'issues' }, { dryRun: true, analysis: ANALYSIS });
+
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.response, { ok: true, message: 'Notified' });
+    assert.deepEqual([report.triage[0].action, report.triage[0].issueType], ['auto-spawn', 'bug']);
+    assert.deepEqual(report.notifications.map(n => n.kind).sort(), ['new-issue', 'ralph-spawned']);
+    assert.match(report.notifications.find(n => n.kind === 'new-issue').text, /New Issue: atriumn\/tariff#42/);
+    assert.match(report.prompts[0].prompt, /Fix GitHub issue atriumn\/tariff#42/);
+
+    const text = formatReport('issues', report);
+    assert.match(text, /^issues → 200 \{"ok":true,"message":"Notified"\}/);
+    assert.match(text, /Triage of atriumn\/tariff#42: auto-spawn \(Confidence 93% ≥ 85%\)/);
+    assert.match(text, /Ralph prompt for atriumn\/tariff#42 \(default\.md\):\n {2}Fix GitHub issue/);
+  });
+
+  it('never asks the model in a dry run without an analysis', async () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-replay';
+    try {
+      const { body } = await loadPayload('issues-opened');
+      const report = await replayInProcess({ body, event: 'issues' }, { dryRun: true });
+
+      assert.equal(report.triage[0].action, 'notify');
+      assert.equal(report.triage[0].reasoning, 'Automated analysis unavailable: dry run without --analysis');
+      assert.deepEqual(report.notifications.map(n => n.kind), ['new-issue']);
+      assert.deepEqual(report.prompts, []);
+    } finally {
+      delete process.env.ANTHROPIC_API_KEY;
+    }
+  });
+
+  it('passes /ralph instructions to the prompt', async () => {
+    const { body } = await loadPayload('issue_comment-ralph');
+    const report = await replayInProcess({ body, event: 'issue_comment' }, { dryRun: true });
+
+    assert.equal(report.response.message, 'Spawning Ralph');
+    assert.deepEqual(report.triage, []);
+    assert.match(report.prompts[0].prompt, /use the existing avatar placeholder/);
+  });
+});
+
+describe('postWebhook', () => {
+  let app;
+  let url;
+
+  before(async () => {
+    process.env.GITHUB_WEBHOOK_SECRET = 'server-secret';
+    app = buildServer({ store: createMemoryStore() });
+    url = `${await app.listen({ port: 0, host: '127.0.0.1' })}/webhook`;
+  });
+
+  after(async () => {
+    await app.close();
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  });
+
+  it('signs with the given secret', async () => {
+    const { body } = await loadPayload('pull_request-opened');
+    assert.deepEqual(await postWebhook(url, { body, event: 'pull_request', secret: 'server-secret' }), {
+      status: 200, response: { ok: true, message: 'No linked runs' },
+    });
+    assert.equal((await postWebhook(url, { body, event: 'pull_request', secret: 'wrong' })).status, 401);
+  });
+});
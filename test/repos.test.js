@@ -0,0 +1,219 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  parseRepoConfig, loadRepoConfig, watchRepoConfig, getRepoConfig, repoNames, defaultNoAutoFixPatterns,
+  setRepoEnabled, repoOverrides, clearRepoOverrides,
+} from '../src/repos.js';
+
+describe('parseRepoConfig', () => {
+  it('layers built-in defaults, file defaults and repo settings', () => {
+    const { repos } = parseRepoConfig([
+      'defaults:',
+      '  projectRoot: /srv/projects',
+      '  priority: high',
+      '  commandAuth: { allowedUsers: [deploy-bot] }',
+      'repos:',
+      '  atriumn/idynic:',
+      '  atriumn/tariff:',
+      '    priority: low',
+      '    projectDir: /opt/tariff',
+      '    commandAuth: { minAssociation: MEMBER }',
+      '    noAutoFixPatterns: [payment]',
+    ].join('\n'));
+
+    const idynic = repos['atriumn/idynic'];
+    const tariff = repos['atriumn/tariff'];
+    assert.equal(idynic.priority, 'high');
+    assert.equal(idynic.projectDir, '/srv/projects/idynic');
+    assert.equal(idynic.enabled, true);
+    assert.deepEqual(idynic.noAutoFixPatterns, defaultNoAutoFixPatterns);
+    assert.deepEqual(tariff.commandAuth, {
+      allowedUsers: ['deploy-bot'], minAssociation: 'MEMBER', replyOnReject: false, telegramUsers: {},
+    });
+    assert.equal(tariff.projectDir, '/opt/tariff');
+    assert.deepEqual(tariff.noAutoFixPatterns, [/payment/i]);
+    assert.equal(tariff.issueEvents.minEditWords, 10);
+  });
+
+  it('layers owner settings between the defaults and the repo', () => {
+    const { owners, repos } = parseRepoConfig([
+      'defaults: { projectRoot: /srv/projects, priority: high }',
+      'owners:',
+      '  ClientCo: { installationId: 4242, projectRoot: /srv/clientco, priority: low }',
+      'repos:',
+      '  clientco/idynic:',
+      '  atriumn/idynic: { executor: { type: dry-run } }',
+    ].join('\n'));
+
+    assert.equal(repos['clientco/idynic'].installationId, 4242);
+    assert.equal(repos['clientco/idynic'].priority, 'low');
+    assert.equal(repos['clientco/idynic'].projectDir, '/srv/clientco/idynic');
+    assert.equal(repos['atriumn/idynic'].priority, 'high');
+    assert.equal(repos['atriumn/idynic'].projectDir, '/srv/projects/idynic');
+    assert.equal(repos['atriumn/idynic'].installationId, undefined);
+    assert.equal(owners.clientco.projectRoot, undefined);
+  });
+
+  it('reads JSON', () => {
+    const { repos } = parseRepoConfig('{ "repos": { "atriumn/ovrly": { "executor": { "type": "dry-run" } } } }', 'json');
+    assert.deepEqual(repos['atriumn/ovrly'].executor, { type: 'dry-run' });
+  });
+
+  it('reports every problem with its path', () => {
+    assert.throws(() => parseRepoConfig([
+      'defaults:',
+      '  priority: urgent',
+      '  projectDir: /srv',
+      'owners:',
+      '  clientco: { installationId: abc }',
+      'repos:',
+      '  tariff:',
+      '  atriumn/tariff:',
+      '    noAutoFixPatterns: ["(unclosed"]',
+      '    channels: [{ type: pager }]',
+      '    executor: { cwd: /opt/tariff }',
+      '    issueEvents: { minEditWords: -1 }',
+      '    commandAuth: { telegramUsers: { jeff: "" } }',
+    ].join('\n')), err => {
+      assert.deepEqual(err.problems.map(p => p.split(':')[0]), [
+        'defaults.priority',
+        'defaults.projectDir',
+        'owners.clientco.installationId',
+        'repos.tariff',
+        'repos.atriumn/tariff.noAutoFixPatterns[0]',
+        'repos.atriumn/tariff.channels[0].type',
+        'repos.atriumn/tariff.executor.type',
+        'repos.atriumn/tariff.issueEvents.minEditWords',
+        'repos.atriumn/tariff.commandAuth.telegramUsers.jeff',
+      ]);
+      assert.match(err.message, /repos\.tariff: not a valid owner\/name/);
+      assert.match(err.message, /must be one of high, medium, low/);
+      assert.match(err.message, /unknown setting/);
+      return true;
+    });
+  });
+
+  it('requires a repos mapping', () => {
+    assert.throws(() => parseRepoConfig('defaults: {}'), /repos: is required/);
+    assert.throws(() => parseRepoConfig(''), /file: must be a mapping/);
+    assert.throws(() => parseRepoConfig('repos: [idynic'), /Invalid repo config/);
+  });
+});
+
+describe('loadRepoConfig', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'repos-'));
+  });
+
+  after(async () => {
+    loadRepoConfig();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('switches to a valid file and keeps the old config on errors', async () => {
+    const file = join(dir, 'repos.yaml');
+    await writeFile(file, 'repos:\n  acme/widget: { priority: high }\n');
+    assert.deepEqual(loadRepoConfig(file), ['acme/widget']);
+    assert.equal(getRepoConfig('acme/widget').priority, 'high');
+    assert.equal(getRepoConfig('atriumn/idynic').enabled, false);
+
+    await writeFile(file, 'repos:\n  acme/widget: { priority: highest }\n');
+    assert.throws(() => loadRepoConfig(file), err => {
+      assert.match(err.message, new RegExp(`Invalid repo config in ${file}`));
+      assert.match(err.message, /- repos\.acme\/widget\.priority: must be one of/);
+      return true;
+    });
+    assert.deepEqual(repoNames(), ['acme/widget']);
+  });
+
+  it('rejects missing files and unknown extensions', () => {
+    assert.throws(() => loadRepoConfig(join(dir, 'missing.yaml')), /cannot read the file/);
+    assert.throws(() => loadRepoConfig(join(dir, 'repos.toml')), /must end in \.yaml, \.yml or \.json/);
+  });
+
+  it('ships a valid config', () => {
+    loadRepoConfig();
+    assert.equal(getRepoConfig('atriumn/idynic').priority, 'high');
+    assert.equal(getRepoConfig('atriumn/atriumn-site').autoSpawnEnabled, false);
+    assert.match(getRepoConfig('atriumn/tariff').projectDir, /\/tariff$/);
+  });
+});
+
+describe('getRepoConfig', () => {
+  after(() => loadRepoConfig());
+
+  it('matches full names case-insensitively and keeps owners apart', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'repos-'));
+    const file = join(dir, 'repos.yaml');
+    await writeFile(file, [
+      'owners:',
+      '  clientco: { installationId: 7, priority: medium }',
+      'repos:',
+      '  atriumn/idynic: { priority: high }',
+    ].join('\n'));
+    try {
+      loadRepoConfig(file);
+      assert.equal(getRepoConfig('Atriumn/IDynic').enabled, true);
+      assert.equal(getRepoConfig('clientco/idynic').enabled, false);
+      assert.equal(getRepoConfig('clientco/idynic').installationId, 7);
+      assert.equal(getRepoConfig('other/idynic').installationId, undefined);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('setRepoEnabled', () => {
+  after(() => {
+    clearRepoOverrides();
+    loadRepoConfig();
+  });
+
+  it('overrides the file until set back to its value, across reloads', () => {
+    loadRepoConfig();
+    assert.equal(setRepoEnabled('atriumn/IDYNIC', false), true);
+    assert.equal(getRepoConfig('atriumn/idynic').enabled, false);
+    assert.equal(getRepoConfig('atriumn/idynic').priority, 'high');
+    assert.deepEqual(repoOverrides(), { 'atriumn/idynic': false });
+
+    loadRepoConfig();
+    assert.equal(getRepoConfig('atriumn/idynic').enabled, false);
+
+    assert.equal(setRepoEnabled('atriumn/idynic', true), false);
+    assert.equal(getRepoConfig('atriumn/idynic').enabled, true);
+    assert.deepEqual(repoOverrides(), {});
+  });
+
+  it('does not enable repos missing from the file', () => {
+    setRepoEnabled('acme/unknown', true);
+    assert.equal(getRepoConfig('acme/unknown').enabled, false);
+  });
+});
+
+describe('watchRepoConfig', () => {
+  it('calls back once for a burst of writes to the file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'repos-'));
+    const file = join(dir, 'repos.yaml');
+    await writeFile(file, 'repos: {}\n');
+    let changes = 0;
+    let changed;
+    const done = new Promise(resolve => { changed = resolve; });
+    const watcher = watchRepoConfig(() => { changes += 1; changed(); }, { path: file, debounceMs: 50 });
+    try {
+      await writeFile(join(dir, 'other.yaml'), 'x');
+      await writeFile(file, 'repos: { a: }\n');
+      await writeFile(file, 'repos: { a:, b: }\n');
+      await done;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(changes, 1);
+    } finally {
+      watcher.close();
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
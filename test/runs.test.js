@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRunRegistry, formatRunComment, sessionId } from '../src/runs.js';
+import { createMemoryStore } from '../src/state.js';
+
+function makeRegistry() {
+  const changes = [];
+  const runs = createRunRegistry(createMemoryStore(), {
+    onChange: (run, previous) => changes.push(`${previous}->${run.state}`),
+  });
+  return { runs, changes };
+}
+
+describe('sessionId', () => {
+  it('joins owner, repo and issue number', () => {
+    assert.equal(sessionId('atriumn/idynic', 42), 'atriumn~idynic-42');
+  });
+
+  it('keeps hyphens in owner and repo names apart', () => {
+    assert.notEqual(sessionId('a-b/c', 1), sessionId('a/b-c', 1));
+    assert.equal(sessionId('a-b/c', 1), 'a-b~c-1');
+  });
+});
+
+describe('createRunRegistry', () => {
+  it('walks a run through its lifecycle', () => {
+    const { runs, changes } = makeRegistry();
+    const run = runs.start('atriumn/idynic', 42, { title: 'Crash' });
+    assert.equal(run.state, 'queued');
+    assert.equal(run.session, 'atriumn~idynic-42');
+
+    runs.transition('atriumn~idynic-42', 'running');
+    const done = runs.transition('atriumn~idynic-42', 'succeeded', { prUrl: 'https://github.com/atriumn/idynic/pull/7' });
+    assert.equal(done.prUrl, 'https://github.com/atriumn/idynic/pull/7');
+    assert.deepEqual(done.history.map(h => h.state), ['queued', 'running', 'succeeded']);
+    assert.deepEqual(changes, ['null->queued', 'queued->running', 'running->succeeded']);
+  });
+
+  it('records progress without firing onChange', () => {
+    const { runs, changes } = makeRegistry();
+    runs.start('atriumn/idynic', 42);
+    runs.transition('atriumn~idynic-42', 'running');
+    const run = runs.transition('atriumn~idynic-42', 'running', { message: 'Tests passing' });
+    assert.equal(run.message, 'Tests passing');
+    assert.equal(changes.length, 2);
+  });
+
+  it('keeps an active run when started again', () => {
+    const { runs } = makeRegistry();
+    runs.start('atriumn/idynic', 42);
+    runs.transition('atriumn~idynic-42', 'running');
+    assert.equal(runs.start('atriumn/idynic', 42).state, 'running');
+  });
+
+  it('replaces a finished run with a new one', () => {
+    const { runs } = makeRegistry();
+    runs.start('atriumn/idynic', 42);
+    runs.transition('atriumn~idynic-42', 'failed', { message: 'boom' });
+    const run = runs.start('atriumn/idynic', 42);
+    assert.equal(run.state, 'queued');
+    assert.equal(run.history.length, 1);
+  });
+
+  it('rejects unknown states and disallowed transitions', () => {
+    const { runs } = makeRegistry();
+    runs.start('atriumn/idynic', 42);
+    assert.throws(() => runs.transition('atriumn~idynic-42', 'exploded'), err => err.code === 'INVALID_STATE');
+    runs.transition('atriumn~idynic-42', 'cancelled');
+    assert.throws(() => runs.transition('atriumn~idynic-42', 'running'), err => err.code === 'INVALID_TRANSITION');
+  });
+
+  it('links a pull request without changing state', () => {
+    const { runs, changes } = makeRegistry();
+    runs.start('atriumn/idynic', 42, { trigger: 'auto' });
+    const pr = { number: 7, url: 'https://github.com/atriumn/idynic/pull/7', state: 'merged' };
+    const run = runs.linkPullRequest('atriumn~idynic-42', pr);
+    assert.equal(run.state, 'queued');
+    assert.equal(run.trigger, 'auto');
+    assert.deepEqual(run.pr, pr);
+    assert.equal(run.history.at(-1).message, 'PR #7 merged');
+    assert.equal(changes.length, 1);
+    assert.equal(runs.linkPullRequest('nope-1', pr), null);
+  });
+
+  it('returns null for unknown sessions', () => {
+    const { runs } = makeRegistry();
+    assert.equal(runs.transition('nope-1', 'running'), null);
+  });
+
+  it('lists runs most recently updated first', async () => {
+    const { runs } = makeRegistry();
+    runs.start('atriumn/idynic', 1);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    runs.start('atriumn/tariff', 2);
+    assert.deepEqual(runs.list().map(r => r.session), ['atriumn~tariff-2', 'atriumn~idynic-1']);
+  });
+});
+
+describe('formatRunComment', () => {
+  const base = { session: 'atriumn~idynic-42', repo: 'atriumn/idynic', number: 42 };
+
+  it('links the PR on success', () => {
+    const comment = formatRunComment({ ...base, state: 'succeeded', prUrl: 'https://github.com/atriumn/idynic/pull/7' });
+    assert.match(comment, /opened https:\/\/github.com\/atriumn\/idynic\/pull\/7/);
+  });
+
+  it('quotes the failure and suggests a retry', () => {
+    const comment = formatRunComment({ ...base, state: 'failed', message: 'npm test failed' });
+    assert.match(comment, /> npm test failed/);
+    assert.match(comment, /\/ralph retry/);
+  });
+
+  it('quotes why a run was cancelled', () => {
+    const comment = formatRunComment({ ...base, state: 'cancelled', message: 'Issue closed' });
+    assert.equal(comment, 'Ralph\'s session for this issue was cancelled.\n\n> Issue closed');
+  });
+});
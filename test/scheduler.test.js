@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSpawnScheduler } from '../src/scheduler.js';
+import { createMemoryStore } from '../src/state.js';
+
+const PRIORITY = { idynic: 'high', tariff: 'medium', veriumn: 'low' };
+
+/** Scheduler over a fresh store; `started` records sessions as they get a slot */
+function makeScheduler(limits = { global: 2, perRepo: 1 }, options = {}) {
+  const store = createMemoryStore();
+  const started = [];
+  const queued = [];
+  const scheduler = createSpawnScheduler(store, {
+    limits: () => limits,
+    priorityOf: repo => PRIORITY[repo] || 'low',
+    start: job => started.push(`${job.repo}-${job.number}`),
+    onQueued: (job, position) => queued.push(position),
+    ...options,
+  });
+  return { scheduler, store, started, queued };
+}
+
+const job = (repo, number) => ({ repo, number, issue: { title: `Issue ${number}` } });
+
+describe('createSpawnScheduler', () => {
+  it('starts jobs while slots are free', () => {
+    const { scheduler, started } = makeScheduler();
+    assert.deepEqual(scheduler.submit(job('idynic', 1)), { started: true });
+    assert.deepEqual(scheduler.submit(job('tariff', 2)), { started: true });
+    assert.deepEqual(started, ['idynic-1', 'tariff-2']);
+  });
+
+  it('queues jobs over the global and per-repo limits', () => {
+    const { scheduler, started, queued } = makeScheduler();
+    scheduler.submit(job('idynic', 1));
+    assert.deepEqual(scheduler.submit(job('idynic', 2)), { started: false, position: 1 });
+    scheduler.submit(job('tariff', 3));
+    assert.deepEqual(scheduler.submit(job('veriumn', 4)), { started: false, position: 2 });
+    assert.deepEqual(started, ['idynic-1', 'tariff-3']);
+    assert.deepEqual(queued, [1, 2]);
+  });
+
+  it('lets a session that holds a slot spawn again', () => {
+    const { scheduler } = makeScheduler({ global: 1, perRepo: 1 });
+    scheduler.submit(job('idynic', 1));
+    assert.equal(scheduler.acquire(job('idynic', 1)), true);
+    assert.equal(scheduler.acquire(job('tariff', 2)), false);
+  });
+
+  it('starts waiting jobs by priority, then first come first served', () => {
+    const { scheduler, started } = makeScheduler({ global: 1, perRepo: 1 });
+    scheduler.submit(job('veriumn', 1));
+    scheduler.submit(job('veriumn', 2));
+    scheduler.submit(job('tariff', 3));
+    scheduler.submit(job('idynic', 4));
+    assert.equal(scheduler.position('idynic-4'), 1);
+
+    for (const session of ['veriumn-1', 'idynic-4', 'tariff-3']) scheduler.release(session);
+    assert.deepEqual(started, ['veriumn-1', 'idynic-4', 'tariff-3', 'veriumn-2']);
+  });
+
+  it('skips waiting jobs whose repo is still at its limit', () => {
+    const { scheduler, started } = makeScheduler({ global: 2, perRepo: 1 });
+    scheduler.submit(job('idynic', 1));
+    scheduler.submit(job('tariff', 2));
+    scheduler.submit(job('idynic', 3));
+    scheduler.submit(job('veriumn', 4));
+
+    scheduler.release('tariff-2');
+    assert.deepEqual(started, ['idynic-1', 'tariff-2', 'veriumn-4']);
+    assert.equal(scheduler.position('idynic-3'), 1);
+  });
+
+  it('keeps a re-queued job in its place', () => {
+    const { scheduler } = makeScheduler({ global: 1, perRepo: 1 });
+    scheduler.submit(job('idynic', 1));
+    scheduler.submit(job('tariff', 2));
+    scheduler.submit(job('tariff', 3));
+    assert.equal(scheduler.enqueue({ ...job('tariff', 2), extras: { instructions: 'again' } }), 1);
+  });
+
+  it('drops removed jobs', () => {
+    const { scheduler, started } = makeScheduler({ global: 1, perRepo: 1 });
+    scheduler.submit(job('idynic', 1));
+    scheduler.submit(job('tariff', 2));
+    assert.equal(scheduler.remove('tariff-2'), true);
+    assert.equal(scheduler.remove('tariff-2'), false);
+    scheduler.release('idynic-1');
+    assert.deepEqual(started, ['idynic-1']);
+  });
+
+  it('reclaims slots past the timeout', () => {
+    const { scheduler, store } = makeScheduler({ global: 1, perRepo: 1 }, { slotTimeoutMs: 1000 });
+    store.set('spawnSlots', 'idynic-1', { repo: 'idynic', since: Date.now() - 5000 });
+    assert.equal(scheduler.acquire(job('tariff', 2)), true);
+    assert.deepEqual(scheduler.state().active, ['tariff-2']);
+  });
+
+  it('picks up waiting jobs from the store after a restart', () => {
+    const first = makeScheduler({ global: 1, perRepo: 1 });
+    first.scheduler.submit(job('idynic', 1));
+    first.scheduler.submit(job('tariff', 2));
+
+    const started = [];
+    const scheduler = createSpawnScheduler(first.store, {
+      limits: () => ({ global: 1, perRepo: 1 }),
+      priorityOf: () => 'low',
+      start: j => started.push(`${j.repo}-${j.number}`),
+    });
+    assert.deepEqual(scheduler.state(), {
+      active: ['idynic-1'],
+      waiting: [{ session: 'tariff-2', priority: 'medium', enqueuedAt: scheduler.state().waiting[0].enqueuedAt }],
+    });
+    scheduler.release('idynic-1');
+    assert.deepEqual(started, ['tariff-2']);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { payloadTimestamp, isStalePayload, isCommandAuthorized, verifyBearerToken, verifySecretToken } from '../src/security.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('payloadTimestamp', () => {
+  it('uses the latest timestamp across subject objects', () => {
+    const ts = payloadTimestamp({
+      issue: { created_at: '2026-01-01T00:00:00Z', updated_at: '2026-01-02T00:00:00Z' },
+      comment: { created_at: '2026-01-03T00:00:00Z' },
+    });
+    assert.equal(ts, Date.parse('2026-01-03T00:00:00Z'));
+  });
+
+  it('returns null when there are no timestamps', () => {
+    assert.equal(payloadTimestamp({ zen: 'Keep it simple', hook_id: 1 }), null);
+    assert.equal(payloadTimestamp(null), null);
+  });
+});
+
+describe('isStalePayload', () => {
+  const now = Date.parse('2026-01-10T00:00:00Z');
+  const payload = { issue: { updated_at: new Date(now - 2 * HOUR).toISOString() } };
+
+  it('is disabled when max age is 0', () => {
+    assert.equal(isStalePayload(payload, 0, now), false);
+  });
+
+  it('accepts payloads within the max age', () => {
+    assert.equal(isStalePayload(payload, 3 * 60 * 60, now), false);
+  });
+
+  it('rejects payloads older than the max age', () => {
+    assert.equal(isStalePayload(payload, 60 * 60, now), true);
+  });
+
+  it('accepts payloads without timestamps', () => {
+    assert.equal(isStalePayload({ zen: 'ping' }, 60, now), false);
+  });
+});
+
+describe('isCommandAuthorized', () => {
+  const auth = { allowedUsers: ['Trusted-Bot'], minAssociation: 'COLLABORATOR', replyOnReject: true };
+  const comment = (login, association, type = 'User') => ({ user: { login, type }, author_association: association });
+
+  it('allows associations at or above the minimum', () => {
+    for (const association of ['COLLABORATOR', 'MEMBER', 'OWNER']) {
+      assert.equal(isCommandAuthorized(comment('jeff', association), auth).allowed, true, association);
+    }
+  });
+
+  it('rejects associations below the minimum', () => {
+    for (const association of ['CONTRIBUTOR', 'FIRST_TIME_CONTRIBUTOR', 'NONE']) {
+      const result = isCommandAuthorized(comment('someone', association), auth);
+      assert.equal(result.allowed, false, association);
+      assert.match(result.reason, /below COLLABORATOR/);
+    }
+  });
+
+  it('allows allow-listed logins case-insensitively', () => {
+    assert.equal(isCommandAuthorized(comment('trusted-bot', 'NONE', 'Bot'), auth).allowed, true);
+  });
+
+  it('rejects bots that are not allow-listed', () => {
+    assert.equal(isCommandAuthorized(comment('dependabot[bot]', 'OWNER', 'Bot'), auth).allowed, false);
+  });
+
+  it('only allows the allow-list when there is no minimum association', () => {
+    const listOnly = { ...auth, minAssociation: null };
+    assert.equal(isCommandAuthorized(comment('jeff', 'OWNER'), listOnly).allowed, false);
+    assert.equal(isCommandAuthorized(comment('Trusted-Bot', 'NONE'), listOnly).allowed, true);
+  });
+
+  it('treats a missing association as NONE', () => {
+    assert.equal(isCommandAuthorized({ user: { login: 'x' } }, auth).allowed, false);
+  });
+});
+
+describe('verifyBearerToken', () => {
+  it('accepts the configured token', () => {
+    assert.equal(verifyBearerToken('Bearer s3cret', 's3cret'), true);
+  });
+
+  it('rejects wrong, malformed or missing tokens', () => {
+    assert.equal(verifyBearerToken('Bearer s3cres', 's3cret'), false);
+    assert.equal(verifyBearerToken('Bearer s3', 's3cret'), false);
+    assert.equal(verifyBearerToken('s3cret', 's3cret'), false);
+    assert.equal(verifyBearerToken(undefined, 's3cret'), false);
+  });
+
+  it('rejects everything when no token is configured', () => {
+    assert.equal(verifyBearerToken('Bearer ', ''), false);
+  });
+});
+
+describe('verifySecretToken', () => {
+  it('compares the raw header value', () => {
+    assert.equal(verifySecretToken('s3cret', 's3cret'), true);
+    assert.equal(verifySecretToken('Bearer s3cret', 's3cret'), false);
+    assert.equal(verifySecretToken(undefined, 's3cret'), false);
+    assert.equal(verifySecretToken('', ''), false);
+  });
+});
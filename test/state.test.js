@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, readdirSync, appendFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMemoryStore, createFileStore } from '../src/state.js';
+
+describe('createMemoryStore', () => {
+  it('gets, sets and deletes namespaced keys', () => {
+    const store = createMemoryStore();
+    store.set('processed', 'issue:idynic#1', 123);
+    assert.equal(store.get('processed', 'issue:idynic#1'), 123);
+    assert.equal(store.get('metrics', 'issue:idynic#1'), undefined);
+    assert.equal(store.size('processed'), 1);
+    assert.equal(store.delete('processed', 'issue:idynic#1'), true);
+    assert.equal(store.delete('processed', 'issue:idynic#1'), false);
+    assert.deepEqual(store.entries('processed'), []);
+  });
+
+  it('appends and reads logs', async () => {
+    const store = createMemoryStore();
+    await store.append('events', { n: 1 });
+    await store.append('events', { n: 2 });
+    assert.deepEqual(await store.readLog('events'), [{ n: 1 }, { n: 2 }]);
+    assert.deepEqual(await store.readLog('other'), []);
+  });
+});
+
+describe('createFileStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'triage-state-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists key/value data across instances', async () => {
+    const store = createFileStore(dir);
+    store.set('processed', 'ralph:idynic#5', 1000);
+    store.set('metrics', 'errors', 2);
+    await store.flush();
+
+    const reopened = createFileStore(dir);
+    assert.equal(reopened.get('processed', 'ralph:idynic#5'), 1000);
+    assert.equal(reopened.get('metrics', 'errors'), 2);
+  });
+
+  it('persists deletes', async () => {
+    const store = createFileStore(dir);
+    store.set('processed', 'a', 1);
+    store.set('processed', 'b', 2);
+    store.delete('processed', 'a');
+    await store.flush();
+    assert.deepEqual(createFileStore(dir).entries('processed'), [['b', 2]]);
+  });
+
+  it('leaves no temp files behind', async () => {
+    const store = createFileStore(dir);
+    for (let i = 0; i < 20; i++) store.set('processed', `k${i}`, i);
+    await store.flush();
+    assert.deepEqual(readdirSync(dir), ['state.json']);
+    assert.equal(Object.keys(JSON.parse(readFileSync(join(dir, 'state.json'), 'utf-8')).processed).length, 20);
+  });
+
+  it('moves a corrupt state file aside and starts empty', () => {
+    writeFileSync(join(dir, 'state.json'), '{"processed": {');
+    const errors = [];
+    const store = createFileStore(dir, { onError: err => errors.push(err) });
+    assert.equal(store.size('processed'), 0);
+    assert.equal(errors.length, 1);
+    assert.ok(readdirSync(dir).some(f => f.startsWith('state.json.corrupt-')));
+  });
+
+  it('appends JSONL logs and skips torn lines', async () => {
+    const store = createFileStore(dir);
+    await store.append('deliveries', { id: 'a' });
+    await store.append('deliveries', { id: 'b' });
+    appendFileSync(join(dir, 'deliveries.jsonl'), '{"id":"c"');
+    assert.deepEqual(await store.readLog('deliveries'), [{ id: 'a' }, { id: 'b' }]);
+  });
+
+  it('rotates a log at maxLogBytes and reads the current and previous files', async () => {
+    // Each record is 11 bytes with its newline, so three fit under 40
+    const store = createFileStore(dir, { maxLogBytes: 40 });
+    for (const id of ['a', 'b', 'c', 'd', 'e', 'f', 'g']) await store.append('audit', { id });
+    assert.deepEqual(readdirSync(dir).sort(), ['audit.jsonl', 'audit.jsonl.1']);
+    assert.deepEqual((await store.readLog('audit')).map(r => r.id), ['d', 'e', 'f', 'g']);
+  });
+
+  it('counts existing log contents toward the rotation size', async () => {
+    writeFileSync(join(dir, 'audit.jsonl'), '{"id":"a"}\n{"id":"b"}\n{"id":"c"}\n');
+    const store = createFileStore(dir, { maxLogBytes: 40 });
+    await store.append('audit', { id: 'd' });
+    assert.equal(readFileSync(join(dir, 'audit.jsonl'), 'utf-8'), '{"id":"d"}\n');
+    assert.deepEqual((await store.readLog('audit')).map(r => r.id), ['a', 'b', 'c', 'd']);
+  });
+
+  it('skips a torn line at the end of the rotated file', async () => {
+    writeFileSync(join(dir, 'audit.jsonl.1'), '{"id":"a"}\n{"id":"b"');
+    const store = createFileStore(dir);
+    await store.append('audit', { id: 'c' });
+    assert.deepEqual(await store.readLog('audit'), [{ id: 'a' }, { id: 'c' }]);
+  });
+
+  it('creates the directory if missing', async () => {
+    const nested = join(dir, 'nested', 'state');
+    const store = createFileStore(nested);
+    store.set('metrics', 'errors', 1);
+    await store.flush();
+    assert.equal(createFileStore(nested).get('metrics', 'errors'), 1);
+  });
+});
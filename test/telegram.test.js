@@ -0,0 +1,94 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  callbackData, parseCallbackData, inlineKeyboard, isAllowedChat, authorizeTelegramUser, formatOutcome, formatSnoozed,
+} from '../src/telegram.js';
+
+const repos = ['atriumn/idynic', 'clientco/idynic'];
+
+describe('callback data', () => {
+  it('round-trips action, repo and issue number', () => {
+    for (const repo of repos) {
+      const data = callbackData('spawn', repo, 784);
+      assert.ok(Buffer.byteLength(data) <= 64);
+      assert.deepEqual(parseCallbackData(data, repos), { action: 'spawn', repo, number: 784 });
+    }
+  });
+
+  it('matches repo names case-insensitively', () => {
+    assert.equal(parseCallbackData(callbackData('dismiss', 'Atriumn/IDynic', 1), repos).repo, 'atriumn/idynic');
+  });
+
+  it('rejects unknown actions, repos and garbage', () => {
+    assert.equal(parseCallbackData(callbackData('merge', 'atriumn/idynic', 1), repos), null);
+    assert.equal(parseCallbackData(callbackData('spawn', 'atriumn/gone', 1), repos), null);
+    assert.equal(parseCallbackData('spawn:1', repos), null);
+    assert.equal(parseCallbackData(undefined, repos), null);
+  });
+});
+
+describe('inlineKeyboard', () => {
+  it('puts two buttons on a row', () => {
+    const { inline_keyboard: rows } = inlineKeyboard(['spawn', 'clarify', 'dismiss'], 'atriumn/idynic', 5);
+    assert.deepEqual(rows.map(row => row.length), [2, 1]);
+    assert.equal(rows[0][1].text, '\u{2753} Ask for clarification');
+    assert.equal(parseCallbackData(rows[1][0].callback_data, repos).action, 'dismiss');
+  });
+});
+
+describe('isAllowedChat', () => {
+  after(() => {
+    delete process.env.TELEGRAM_CHAT_ID;
+  });
+
+  it('allows TELEGRAM_CHAT_ID and the repo\'s Telegram chats', () => {
+    process.env.TELEGRAM_CHAT_ID = '-100';
+    const channels = [{ type: 'telegram', chatId: '-200' }, { type: 'slack', url: 'https://hooks.slack.test' }];
+    assert.equal(isAllowedChat(-100, channels), true);
+    assert.equal(isAllowedChat('-200', channels), true);
+    assert.equal(isAllowedChat(-300, channels), false);
+    assert.equal(isAllowedChat(undefined, channels), false);
+  });
+
+  it('allows nothing when no chat is configured', () => {
+    delete process.env.TELEGRAM_CHAT_ID;
+    assert.equal(isAllowedChat('', [{ type: 'telegram' }]), false);
+  });
+});
+
+describe('authorizeTelegramUser', () => {
+  const auth = {
+    allowedUsers: ['jeff'],
+    minAssociation: 'COLLABORATOR',
+    telegramUsers: { '@JeffPB': 'jeff', 12345: 'jeff', drive_by: 'someone' },
+  };
+
+  it('maps the Telegram user to a GitHub login on the allow-list', () => {
+    assert.deepEqual(authorizeTelegramUser({ id: 1, username: 'jeffpb' }, auth), {
+      allowed: true, reason: 'allow-listed user', login: 'jeff',
+    });
+    assert.equal(authorizeTelegramUser({ id: 12345 }, auth).login, 'jeff');
+  });
+
+  it('refuses unmapped users and logins the repo doesn\'t allow', () => {
+    assert.deepEqual(authorizeTelegramUser({ id: 2, username: 'stranger' }, auth), {
+      allowed: false, reason: 'Telegram user is not mapped to a GitHub login',
+    });
+    assert.equal(authorizeTelegramUser(undefined, auth).allowed, false);
+    const drive = authorizeTelegramUser({ id: 3, username: 'drive_by' }, auth);
+    assert.deepEqual([drive.allowed, drive.login], [false, 'someone']);
+    assert.match(drive.reason, /below COLLABORATOR/);
+  });
+});
+
+describe('message text', () => {
+  it('appends the outcome and who pressed the button', () => {
+    assert.equal(formatOutcome('New Issue', 'dismiss', 'Dismissed', '@jeff'), 'New Issue\n\n\u{1F645} Dismissed · @jeff');
+  });
+
+  it('marks snoozed messages once', () => {
+    const once = formatSnoozed('New Issue');
+    assert.equal(once, '\u{23F0} Snoozed reminder\n\nNew Issue');
+    assert.equal(formatSnoozed(once), once);
+  });
+});